@@ -1,24 +1,63 @@
-import { ref, reactive, onUnmounted, onMounted, toRaw } from 'vue';
+import { ref, reactive, computed, watch, effectScope, onUnmounted, onMounted, toRaw } from 'vue';
 import { McpClient } from '../services/McpClient';
 import { messageStore } from '../services/MessageStore';
 import EncryptionService from '../services/EncryptionService';
 import LlmWorker from '../workers/llm.worker.js?worker';
+import SharedLlmWorker from '../workers/llm.shared-worker.js?sharedworker';
+import OpenAiWorker from '../workers/openai.worker.js?worker';
 import EvalWorker from '../workers/eval.worker.js?worker';
+import EmbeddingWorker from '../workers/embedding.worker.js?worker';
 import Ajv from "ajv";
+import { DEFAULT_TOOL_PARSER } from '../workers/toolParsers/index.js';
+import { withParents, groupByParent, latestLeaf, pathTo } from '../services/messageTree';
+import { chunkText, topChunks, formatContext } from '../services/documentIndex';
+import { tokenize, keywordScore, snippet, EMBEDDING_TEXT_CHARS } from '../services/searchIndex';
+import { contentText, imageParts, buildContent, toTextContent, toContentParts } from '../services/messageContent';
+import { TITLE_PROMPT, truncateTitle, buildTitleTranscript, cleanTitle } from '../services/chatTitle';
+import { SLASH_COMMANDS, SNIPPET_NAME_PATTERN } from '../services/slashCommands';
+import { runToolBatches, DEFAULT_TOOL_CONCURRENCY } from '../services/toolScheduler';
+import { BUILTIN_SERVER, policyId, resolvePolicy } from '../services/toolPolicy';
+import { DEFAULT_ANNOTATION_POLICY, applyAnnotationPolicy, isReadOnlyHint, isDestructiveHint } from '../services/toolAnnotations';
+import { buildAuditEntry } from '../services/toolAudit';
+import { customModelEntry } from '../services/customModels';
+import { createSchemaCompiler } from '../services/schemaCompiler';
 
 // ...
 
 // (Inside useChat function)
 
 // Define models that support Function Calling (Tools)
+// contextWindow is the default token budget for the prompt + reply (overridable in settings)
+// toolParser picks the tool-call parser in workers/toolParsers for the model family
+// nativeTools marks models WebLLM can run with its own function calling (functionCallingModelIds)
+// vision marks models that accept images (WebLLM's ModelType.VLM)
 const AVAILABLE_MODELS = [
-  { id: "Hermes-3-Llama-3.1-8B-q4f32_1-MLC", name: "Hermes 3 (Llama 3.1 8B)" },
-  { id: "TinyLlama-1.1B-Chat-v0.4-q4f32_1-MLC-1k", name: "TinyLlama 1.1B" },
-  { id: "Llama-3.2-3B-Instruct-q4f16_1-MLC", name: "Llama 3.2 3B" },
-  { id: "Hermes-3-Llama-3.1-8B-q4f16_1-MLC", name: "Hermes 3 (Llama 3.1 8B - q4f16)" },
-  { id: "Qwen2.5-Coder-3B-Instruct-q4f32_1-MLC", name: "Qwen2.5-Coder-3B" },
+  { id: "Hermes-3-Llama-3.1-8B-q4f32_1-MLC", name: "Hermes 3 (Llama 3.1 8B)", contextWindow: 4096, toolParser: "hermes", nativeTools: true },
+  { id: "TinyLlama-1.1B-Chat-v0.4-q4f32_1-MLC-1k", name: "TinyLlama 1.1B", contextWindow: 1024, toolParser: "generic" },
+  { id: "Llama-3.2-3B-Instruct-q4f16_1-MLC", name: "Llama 3.2 3B", contextWindow: 4096, toolParser: "llama3" },
+  { id: "Hermes-3-Llama-3.1-8B-q4f16_1-MLC", name: "Hermes 3 (Llama 3.1 8B - q4f16)", contextWindow: 4096, toolParser: "hermes", nativeTools: true },
+  { id: "Qwen2.5-Coder-3B-Instruct-q4f32_1-MLC", name: "Qwen2.5-Coder-3B", contextWindow: 4096, toolParser: "qwen" },
+  { id: "Phi-3.5-vision-instruct-q4f16_1-MLC", name: "Phi 3.5 Vision", contextWindow: 4096, toolParser: "generic", vision: true },
 ];
 
+// --- Context Budgeting ---
+const DEFAULT_CONTEXT_WINDOW = 4096;
+const DEFAULT_REPLY_RESERVE = 512;   // Tokens kept free for the reply when max_tokens is unset
+const MESSAGE_TOKEN_OVERHEAD = 4;    // Chat template tokens around each message
+const COMPACTION_TARGET = 0.6;       // After compaction, aim for this fraction of the budget
+const SUMMARY_MAX_TOKENS = 256;
+const SUMMARY_MESSAGE_CHARS = 1500;  // Per-message cap when building the summary transcript
+
+const SUMMARY_PROMPT = `Summarize the conversation below so it can replace the original messages in your memory.
+Keep facts, decisions, names, file paths, tool results and open questions. Drop greetings and filler.
+Write at most 200 words of plain text. Do not add commentary.`;
+
+const TITLE_MAX_TOKENS = 24;
+
+// Rough fallback when the engine's tokenizer is unavailable
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+const IMAGE_TOKEN_ESTIMATE = 800;    // Rough prompt cost of one image for vision models
+
 const DEFAULT_SYSTEM_PROMPT = `You are a helpful and capable AI assistant with access to powerful tools.
 
 YOUR PRIMARY DIRECTIVE: Always listen carefully to the user's request and do exactly what they ask. Be helpful, accurate, and responsive to their needs.
@@ -39,16 +78,94 @@ IMPORTANT RULES:
 - Output strictly valid JSON for tool calls: {"name": "tool_name", "arguments": { ... }}
 - Be proactive and helpful - if you can solve the user's problem with available tools, do so immediately`;
 
+// Sampling parameters passed to engine.chat.completions.create.
+// A null value means "use the model's default".
+const DEFAULT_GENERATION_SETTINGS = {
+  temperature: null,
+  top_p: null,
+  max_tokens: null,
+  seed: null,
+  stop: []
+};
+
+// Where a project's replies are generated. "webllm" runs the selected model in the
+// browser; "openai" talks to an OpenAI-compatible server (llama.cpp, Ollama, ...).
+const DEFAULT_BACKEND_SETTINGS = {
+  type: "webllm",
+  baseUrl: "http://localhost:11434/v1",
+  apiKey: "",
+  model: "",
+  toolParser: DEFAULT_TOOL_PARSER,
+  nativeTools: false,
+  vision: false
+};
+
+// --- Document Retrieval ---
+// Attached documents are embedded by a small model in its own worker (about 240 MB of VRAM)
+const EMBEDDING_MODEL_ID = "snowflake-arctic-embed-s-q0f32-MLC-b4";
+// Arctic Embed expects this prefix on queries, but not on the passages being searched
+const EMBEDDING_QUERY_PREFIX = "Represent this sentence for searching relevant passages: ";
+const RETRIEVAL_TOP_K = 4;
+const RETRIEVAL_MIN_SCORE = 0.2;
+const SOURCE_EXCERPT_CHARS = 300; // Chunk text kept on a reply for its citation tooltip
+
+// --- Chat Search ---
+const SEARCH_RESULT_LIMIT = 30;
+const SEARCH_MIN_SCORE = 0.3;      // Cosine similarity below this isn't shown as a semantic match
+const SEARCH_EMBED_BATCH = 32;     // Index entries embedded per request while catching up
+
+// How long to wait for the worker to acknowledge a soft stop before
+// assuming the engine is wedged and reloading it.
+const STOP_TIMEOUT_MS = 5000;
+
 // --- Global Singleton State ---
 const worker = ref(null);
+let stopTimer = null;
+let comparisonWorker = null;     // Worker of the model currently being compared
+let finishComparisonRun = null;  // Resolves the running comparison step
+let keepPartialOnStop = true;
+const workerRequests = new Map(); // requestId -> { resolve, reject }
 
 // --- UI State ---
+const isChatStarted = ref(false);
 const isModelLoading = ref(false);
 const isGenerating = ref(false);
+const isQueued = ref(false); // The shared engine is busy with another tab's request
+const messageQueue = ref([]); // Messages typed during a turn: [{ id, chatId, text, images }]
+const isMessageQueuePaused = ref(false); // Set by Stop; queued messages wait until resumed
+let messageQueueScope = null; // Detached scope of the watcher that sends queued messages
 const loadProgress = ref(0);
 const loadText = ref("Initializing...");
-const messages = ref([]);
+const messages = ref([]); // Active branch of the chat (root to leaf)
+const chatMessages = ref([]); // Every message of the chat, including other branches
+const messageChildren = computed(() => groupByParent(chatMessages.value));
+const streamingContent = ref(""); // Partial assistant text while a reply is streaming
+const isCompacting = ref(false);
+const contextBudgets = ref({}); // modelId -> token budget override
+const nativeToolModels = ref([]); // Model IDs with native function calling switched on
+const comparison = ref(null); // { prompt, running, results: [{ modelId, status, content, stats, ... }] }
+const responseSchema = ref(null); // JSON Schema the active chat's replies must follow (structured output mode)
+const documents = ref([]); // Files attached to the current project
+const embeddingStatus = ref(null); // { loading, progress, text } while the embedding model loads or indexes
+let documentChunks = []; // Embedded chunks of the current project's documents
+let embeddingWorker = null;
+let embeddingReady = null; // Resolves once the embedding model is loaded
+const embeddingRequests = new Map(); // requestId -> { resolve, reject }
+let retrievedSources = []; // Chunks added to the prompt of the reply being generated
+const focusedMessageId = ref(null); // Message to scroll to after opening a search result
+const snippets = ref([]); // Prompt snippets of the current project, offered in the composer's "/" menu
+
+// The newest summary covers every message compacted so far
+const latestSummary = computed(() => {
+  for (let i = messages.value.length - 1; i >= 0; i--) {
+    if (messages.value[i].role === 'summary') return messages.value[i];
+  }
+  return null;
+});
+const compactedMessageIds = computed(() => new Set(latestSummary.value?.compactedIds || []));
 const customSystemPrompt = ref(DEFAULT_SYSTEM_PROMPT);
+const generationSettings = ref({ ...DEFAULT_GENERATION_SETTINGS });
+const backendSettings = ref({ ...DEFAULT_BACKEND_SETTINGS });
 
 // --- Projects & Chats ---
 const projects = ref([]);
@@ -65,7 +182,18 @@ const unlockPassword = ref("");
 const unlockError = ref("");
 
 // Model Selection
-const availableModels = AVAILABLE_MODELS;
+const customModels = ref([]); // User-defined MLC builds stored in IndexedDB
+const availableModels = computed(() => [
+  ...AVAILABLE_MODELS,
+  ...customModels.value.map(m => ({
+    id: m.model_id,
+    name: m.name || m.model_id,
+    contextWindow: m.overrides?.context_window_size > 0 ? m.overrides.context_window_size : undefined,
+    toolParser: m.toolParser || DEFAULT_TOOL_PARSER,
+    vision: !!m.vision,
+    custom: true
+  }))
+]);
 const selectedModel = ref(AVAILABLE_MODELS[0].id);
 
 // --- MCP Servers State ---
@@ -73,8 +201,11 @@ const mcpServers = reactive([]);
 
 // --- Authorization State ---
 const pendingToolCalls = ref(null);
-const sessionAllowed = ref(new Set());
+const sessionAllowed = ref(new Set()); // Tool keys (see toolKey) allowed until the page reloads
+const toolPolicies = ref([]); // Allow/ask/deny rules, see services/toolPolicy.js
+const annotationPolicy = ref({ ...DEFAULT_ANNOTATION_POLICY }); // How MCP tool annotations affect approval
 const useSafeEval = ref(true);
+const toolConcurrency = ref(DEFAULT_TOOL_CONCURRENCY); // Max tool calls running at once
 
 export function useChat() {
   // Functions will use the global state variables defined above
@@ -95,6 +226,10 @@ export function useChat() {
     if (currentProjectId.value) localStorage.setItem('last_project_id', currentProjectId.value);
     if (activeChatId.value) localStorage.setItem('last_chat_id', activeChatId.value);
     localStorage.setItem('use_safe_eval', String(useSafeEval.value));
+    localStorage.setItem('tool_concurrency', String(toolConcurrency.value));
+    localStorage.setItem('tool_annotation_policy', JSON.stringify(annotationPolicy.value));
+    localStorage.setItem('context_budgets', JSON.stringify(contextBudgets.value));
+    localStorage.setItem('native_tool_models', JSON.stringify(nativeToolModels.value));
   };
 
   const loadFromStorage = async () => {
@@ -113,10 +248,50 @@ export function useChat() {
       }
     }
 
+    try {
+      customModels.value = await messageStore.getCustomModels();
+    } catch (e) {
+      console.error("Failed to load custom models", e);
+    }
+
+    await loadToolPolicies();
+
     const savedSafeEval = localStorage.getItem('use_safe_eval');
     if (savedSafeEval !== null) {
       useSafeEval.value = savedSafeEval === 'true';
     }
+
+    const savedAnnotationPolicy = localStorage.getItem('tool_annotation_policy');
+    if (savedAnnotationPolicy) {
+      try {
+        annotationPolicy.value = { ...DEFAULT_ANNOTATION_POLICY, ...JSON.parse(savedAnnotationPolicy) };
+      } catch (e) {
+        console.error("Failed to load annotation policy", e);
+      }
+    }
+
+    const savedConcurrency = Number(localStorage.getItem('tool_concurrency'));
+    if (Number.isInteger(savedConcurrency) && savedConcurrency > 0) {
+      toolConcurrency.value = savedConcurrency;
+    }
+
+    const savedBudgets = localStorage.getItem('context_budgets');
+    if (savedBudgets) {
+      try {
+        contextBudgets.value = JSON.parse(savedBudgets) || {};
+      } catch (e) {
+        console.error("Failed to load context budgets", e);
+      }
+    }
+
+    const savedNativeTools = localStorage.getItem('native_tool_models');
+    if (savedNativeTools) {
+      try {
+        nativeToolModels.value = JSON.parse(savedNativeTools) || [];
+      } catch (e) {
+        console.error("Failed to load native tool calling settings", e);
+      }
+    }
   };
 
   const resetSystemPrompt = async () => {
@@ -138,6 +313,83 @@ export function useChat() {
     }
   };
 
+  const updateProjectGenerationSettings = async (settings) => {
+    if (!currentProjectId.value) return;
+
+    const project = projects.value.find(p => p.id === currentProjectId.value);
+    if (project) {
+      const clean = { ...DEFAULT_GENERATION_SETTINGS, ...toRaw(settings) };
+      project.generationSettings = clean;
+      await messageStore.updateProject(toRaw(project));
+      generationSettings.value = { ...clean };
+    }
+  };
+
+  const updateProjectBackend = async (settings) => {
+    if (!currentProjectId.value) return;
+
+    const project = projects.value.find(p => p.id === currentProjectId.value);
+    if (project) {
+      const clean = { ...DEFAULT_BACKEND_SETTINGS, ...toRaw(settings) };
+      const changed = JSON.stringify(clean) !== JSON.stringify({ ...DEFAULT_BACKEND_SETTINGS, ...(project.backend || {}) });
+      project.backend = clean;
+      await messageStore.updateProject(toRaw(project));
+      backendSettings.value = { ...clean };
+      if (changed && isChatStarted.value) await restartWorker();
+    }
+  };
+
+  const isRemoteBackend = () => backendSettings.value.type === "openai";
+
+  // Convert the stored settings into request params, dropping unset values
+  // so the engine falls back to the model defaults.
+  const buildGenerationConfig = () => {
+    const settings = generationSettings.value;
+    const config = {};
+
+    const toNumber = (value) => {
+      if (value === null || value === undefined || value === "") return null;
+      const num = Number(value);
+      return Number.isFinite(num) ? num : null;
+    };
+
+    const temperature = toNumber(settings.temperature);
+    if (temperature !== null) config.temperature = temperature;
+
+    const topP = toNumber(settings.top_p);
+    if (topP !== null) config.top_p = topP;
+
+    const maxTokens = toNumber(settings.max_tokens);
+    if (maxTokens !== null && maxTokens > 0) config.max_tokens = Math.floor(maxTokens);
+
+    const seed = toNumber(settings.seed);
+    if (seed !== null) config.seed = Math.floor(seed);
+
+    const stop = (settings.stop || []).filter(s => typeof s === 'string' && s.length > 0);
+    if (stop.length > 0) config.stop = stop;
+
+    return config;
+  };
+
+  // --- Custom Models ---
+  const saveCustomModel = async (entry) => {
+    await messageStore.saveCustomModel(customModelEntry(entry));
+    customModels.value = await messageStore.getCustomModels();
+  };
+
+  const removeCustomModel = async (modelId) => {
+    await messageStore.deleteCustomModel(modelId);
+    customModels.value = await messageStore.getCustomModels();
+
+    if (selectedModel.value === modelId) {
+      if (worker.value) {
+        await switchModel(AVAILABLE_MODELS[0].id);
+      } else {
+        selectedModel.value = AVAILABLE_MODELS[0].id;
+      }
+    }
+  };
+
   // --- Project/Chat Logic ---
   const loadProjects = async () => {
     const regularProjects = await messageStore.getProjects();
@@ -165,10 +417,21 @@ export function useChat() {
     const project = projects.value.find(p => p.id === projectId);
     if (project) {
       customSystemPrompt.value = project.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+      generationSettings.value = { ...DEFAULT_GENERATION_SETTINGS, ...(project.generationSettings || {}) };
     } else {
       customSystemPrompt.value = DEFAULT_SYSTEM_PROMPT;
+      generationSettings.value = { ...DEFAULT_GENERATION_SETTINGS };
     }
 
+    // Projects can run on different backends; swap the worker if this one differs
+    const backend = { ...DEFAULT_BACKEND_SETTINGS, ...(project?.backend || {}) };
+    const backendChanged = JSON.stringify(backend) !== JSON.stringify(backendSettings.value);
+    backendSettings.value = backend;
+    if (backendChanged && isChatStarted.value) await restartWorker();
+
+    await loadDocuments(projectId);
+    await loadSnippets(projectId);
+
     chats.value = await messageStore.getChats(projectId);
 
     // If we have chats, load the last active one, OR the most recent one
@@ -206,7 +469,9 @@ export function useChat() {
       const projectData = {
         chats: [],
         messages: [],
-        systemPrompt: null
+        systemPrompt: null,
+        generationSettings: null,
+        backend: null
       };
 
       const encryptedData = await EncryptionService.encryptProject(projectData, password);
@@ -270,6 +535,7 @@ export function useChat() {
     if (currentProjectId.value === projectId) {
       chats.value = [];
       messages.value = [];
+      chatMessages.value = [];
     }
   };
 
@@ -279,13 +545,28 @@ export function useChat() {
     return !unlockedProjects.value.has(projectId);
   };
 
-  const selectChat = async (chatId) => {
+  // focusMessageId: show the branch containing this message and scroll to it
+  const selectChat = async (chatId, focusMessageId = null) => {
     activeChatId.value = chatId;
-    messages.value = await messageStore.getMessages(chatId, 50); // Load last 50
+    const chat = chats.value.find(c => c.id === chatId);
+
+    // Load the whole tree (no limit: a cut-off would orphan branches), show the active path
+    chatMessages.value = withParents(await messageStore.getMessages(chatId, null));
+    messages.value = pathTo(chatMessages.value, chat?.activeLeafId);
+
+    focusedMessageId.value = null;
+    if (focusMessageId && chatMessages.value.some(m => m.id === focusMessageId)) {
+      if (!messages.value.some(m => m.id === focusMessageId)) {
+        const leafId = latestLeaf(messageChildren.value, focusMessageId);
+        messages.value = pathTo(chatMessages.value, leafId);
+        await setActiveLeaf(leafId);
+      }
+      focusedMessageId.value = focusMessageId;
+    }
     // Scroll to bottom happens via watcher in App.vue
 
-    const chat = chats.value.find(c => c.id === chatId);
     if (chat) activeChatTitle.value = chat.title;
+    responseSchema.value = chat?.responseSchema || null;
 
     saveToStorage();
   };
@@ -297,16 +578,155 @@ export function useChat() {
     await selectChat(newChat.id);
   };
 
-  const renameChat = async (chatId, newTitle) => {
+  // source: "user" (typed in the sidebar), "auto" (first message) or "generated" (by the model)
+  const renameChat = async (chatId, newTitle, source = "user") => {
     const chat = chats.value.find(c => c.id === chatId);
     if (chat) {
       chat.title = newTitle;
+      chat.titleSource = source;
       // Use toRaw to ensure we pass a plain object to IndexedDB
       await messageStore.updateChat(toRaw(chat));
       if (activeChatId.value === chatId) activeChatTitle.value = newTitle;
     }
   };
 
+  // --- Chat Titles ---
+  // After the first reply the loaded model names the chat. Titles typed by the
+  // user are never replaced automatically, only through regenerateChatTitle().
+
+  // Latest title request. Each one is chained after the previous, so only one runs at a
+  // time; chat requests wait for the chain so they don't share the engine.
+  let titleRequest = null;
+
+  // Ask the loaded model for a title for these messages. Returns null on failure.
+  const requestTitle = async (history) => {
+    const transcript = buildTitleTranscript(history.map(m => ({ role: m.role, content: contentText(m.content) })));
+    if (!transcript || !worker.value) return null;
+    const request = (titleRequest || Promise.resolve()).catch(() => {}).then(() => requestFromWorker("summarize", {
+      messages: [
+        { role: "system", content: TITLE_PROMPT },
+        { role: "user", content: transcript }
+      ],
+      max_tokens: TITLE_MAX_TOKENS
+    }));
+    titleRequest = request;
+    try {
+      return cleanTitle(await request);
+    } catch (e) {
+      console.warn("Title generation failed, keeping the current title:", e);
+      return null;
+    } finally {
+      // A later request may have chained on meanwhile; it is the current one then
+      if (titleRequest === request) titleRequest = null;
+    }
+  };
+
+  // Called when a turn ends: replace the truncated first message with a real title
+  const maybeGenerateTitle = async () => {
+    const chatId = activeChatId.value;
+    const chat = chats.value.find(c => c.id === chatId);
+    if (chat?.titleSource !== "auto") return;
+
+    const title = await requestTitle([...messages.value]);
+    // Re-check: the user may have renamed the chat while the model was busy
+    const current = chats.value.find(c => c.id === chatId);
+    if (title && current?.titleSource === "auto") await renameChat(chatId, title, "generated");
+  };
+
+  // Sidebar action: name any chat of the current project again, whoever titled it
+  const regenerateChatTitle = async (chatId) => {
+    const chat = chats.value.find(c => c.id === chatId);
+    if (!chat || isGenerating.value || isModelLoading.value) return;
+
+    const history = chatId === activeChatId.value
+      ? [...messages.value]
+      : pathTo(withParents(await messageStore.getMessages(chatId, null)), chat.activeLeafId);
+    const title = await requestTitle(history);
+    if (title) await renameChat(chatId, title, "generated");
+  };
+
+  // Structured output: pass null to switch the active chat back to free text
+  const setResponseSchema = async (schema) => {
+    const chat = chats.value.find(c => c.id === activeChatId.value);
+    if (!chat) return;
+
+    if (schema) {
+      if (typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error("Schema must be a JSON object");
+      }
+      try {
+        compileSchema(schema);
+      } catch (e) {
+        throw new Error("Invalid JSON Schema: " + e.message);
+      }
+    }
+
+    chat.responseSchema = schema || null;
+    await messageStore.updateChat(toRaw(chat));
+    responseSchema.value = chat.responseSchema;
+  };
+
+  // --- Branching ---
+  // The active path ends at chat.activeLeafId when the user picked an older branch,
+  // otherwise at the newest message. New messages always continue the active path.
+  const setActiveLeaf = async (leafId) => {
+    const chat = chats.value.find(c => c.id === activeChatId.value);
+    if (!chat || (chat.activeLeafId || null) === leafId) return;
+    chat.activeLeafId = leafId;
+    await messageStore.updateChat(toRaw(chat));
+  };
+
+  // Link a new message to the end of the active path
+  const appendToActivePath = (msg) => {
+    msg.parentId = messages.value.length ? messages.value[messages.value.length - 1].id : null;
+    chatMessages.value.push(msg);
+    setActiveLeaf(null); // The newest message is the leaf again
+  };
+
+  // Position of a message among its siblings, for "< 2/3 >" navigation
+  const getBranchInfo = (message) => {
+    const siblings = messageChildren.value.get(message.parentId ?? null) || [];
+    return { index: siblings.findIndex(m => m.id === message.id), total: siblings.length };
+  };
+
+  const switchBranch = async (messageId, offset) => {
+    if (isGenerating.value) return;
+    const message = chatMessages.value.find(m => m.id === messageId);
+    if (!message) return;
+
+    const siblings = messageChildren.value.get(message.parentId ?? null) || [];
+    const target = siblings[siblings.findIndex(m => m.id === messageId) + offset];
+    if (!target) return;
+
+    const leafId = latestLeaf(messageChildren.value, target.id);
+    messages.value = pathTo(chatMessages.value, leafId);
+    await setActiveLeaf(leafId);
+  };
+
+  // Generate a new sibling for an assistant reply; the old one stays as a branch
+  const regenerateMessage = (messageId) => {
+    if (!worker.value || isGenerating.value) return;
+    const index = messages.value.findIndex(m => m.id === messageId);
+    if (index <= 0 || messages.value[index].role !== 'assistant') return;
+
+    messages.value = messages.value.slice(0, index);
+    isGenerating.value = true;
+    postChatToWorker();
+  };
+
+  // Send an edited copy of a user turn as a new branch from the same point
+  const editMessage = async (messageId, content) => {
+    if (!worker.value || isGenerating.value) return;
+    const index = messages.value.findIndex(m => m.id === messageId);
+    if (index < 0 || messages.value[index].role !== 'user') return;
+
+    // The edited turn keeps the original's images
+    const images = imageParts(messages.value[index].content);
+    if (!content.trim() && images.length === 0) return;
+    messages.value = messages.value.slice(0, index);
+    await sendMessage(content, images);
+  };
+
   const deleteChat = async (chatId) => {
     await messageStore.deleteChat(chatId);
     chats.value = await messageStore.getChats(currentProjectId.value);
@@ -431,6 +851,9 @@ export function useChat() {
     }
   };
 
+  // Every tool the model can call right now (built-in and from connected MCP servers)
+  const getActiveTools = () => buildSystemPrompt().tools;
+
   const buildSystemPrompt = () => {
     // 1. Get Active Tools from MCP servers
     const mcpTools = mcpServers
@@ -500,7 +923,7 @@ export function useChat() {
 
     // 4. Create "Hidden" Tools for LLM (Schema Discovery Pattern)
     // We strip parameters from all tools EXCEPT getToolSchema, listTools, and evalCode to force the LLM to ask for them.
-    const llmTools = fullTools.map(t => {
+    const llmTools = fullTools.map(({ annotations, ...t }) => {
       if (t.function.name === 'getToolSchema' || t.function.name === 'evalCode' || t.function.name === 'listTools') return t;
       return {
         ...t,
@@ -554,20 +977,87 @@ export function useChat() {
     await loadProjects();
 
     // 3. Initialize Worker
+    startWorker();
+  };
+
+  // Attach to the engine shared by all tabs. The port is wrapped to look like a
+  // dedicated Worker; "terminate" detaches this tab and leaves the engine running.
+  const connectSharedEngine = () => {
+    const { port } = new SharedLlmWorker();
+    const detach = (event) => {
+      if (!event?.persisted) port.postMessage({ type: "detach" });
+    };
+    window.addEventListener('pagehide', detach);
+    port.start();
+    return {
+      postMessage: (message) => port.postMessage(message),
+      set onmessage(handler) { port.onmessage = handler; },
+      terminate: () => {
+        window.removeEventListener('pagehide', detach);
+        detach();
+        port.close();
+      }
+    };
+  };
+
+  // Spawn the worker for the current project's backend and load the model
+  const startWorker = () => {
     if (worker.value) return;
 
+    // Without WebGPU there's nothing to load; the project has to use a server backend
+    if (!isRemoteBackend() && !navigator.gpu) {
+      isModelLoading.value = false;
+      return;
+    }
+
     isModelLoading.value = true;
-    worker.value = new LlmWorker();
+    if (isRemoteBackend()) worker.value = new OpenAiWorker();
+    else worker.value = typeof SharedWorker !== "undefined" ? connectSharedEngine() : new LlmWorker();
 
     worker.value.onmessage = async (e) => {
-      const { type, data, message, error } = e.data;
+      const { type, data, message, error, requestId } = e.data;
+
+      // Replies to requestFromWorker()
+      if (requestId && workerRequests.has(requestId)) {
+        const { resolve, reject } = workerRequests.get(requestId);
+        workerRequests.delete(requestId);
+        if (type === "error") reject(new Error(error));
+        else resolve(data);
+        return;
+      }
+
+      if (type !== "queued") isQueued.value = false;
 
       if (type === "progress") {
+        // Also sent when another tab loads a different model into the shared engine
+        isModelLoading.value = true;
         loadProgress.value = data.progress;
         loadText.value = data.text;
       } else if (type === "ready") {
         isModelLoading.value = false;
+        if (data?.modelId && !isRemoteBackend()) selectedModel.value = data.modelId;
+      } else if (type === "queued") {
+        isQueued.value = true;
+      } else if (type === "chunk") {
+        // Ignore late chunks that arrive after the user pressed Stop
+        if (isGenerating.value) streamingContent.value = data.content;
+      } else if (type === "stopped") {
+        clearTimeout(stopTimer);
+        stopTimer = null;
+        streamingContent.value = "";
+        if (message && message.content && keepPartialOnStop) {
+          pushMessage({ ...message, stopped: true });
+        }
       } else if (type === "complete") {
+        streamingContent.value = "";
+
+        // The reply finished just as the user pressed Stop: keep the text, skip any tool calls
+        if (!isGenerating.value) {
+          if (message.content && keepPartialOnStop) {
+            pushMessage({ role: "assistant", content: message.content, stopped: true });
+          }
+          return;
+        }
         if (message.content && message.content.includes("Got error: SyntaxError:")) {
           message.content = message.content.split("Got error:")[0].trim();
         }
@@ -577,11 +1067,16 @@ export function useChat() {
         if (!message.id) message.id = crypto.randomUUID();
         message.chatId = activeChatId.value;
 
+        if (responseSchema.value) applyResponseSchema(message);
+        if (retrievedSources.length) message.sources = retrievedSources;
+
+        appendToActivePath(message);
         await messageStore.addMessage(message);
         // Note: usage of activeChatId.value here relies on it being set.
         await handleWorkerResponse(message);
       } else if (type === "error") {
         console.error("Worker Error:", error);
+        streamingContent.value = "";
         pushMessage({ role: "assistant", content: `_Error: ${error}_` });
         isGenerating.value = false;
       }
@@ -589,7 +1084,11 @@ export function useChat() {
 
     worker.value.postMessage({
       type: "init",
-      payload: { modelId: selectedModel.value }
+      payload: {
+        modelId: selectedModel.value,
+        customModels: JSON.parse(JSON.stringify(customModels.value)),
+        backend: { ...backendSettings.value }
+      }
     });
   };
 
@@ -598,27 +1097,38 @@ export function useChat() {
     if (newModelId === selectedModel.value && worker.value) return;
 
     selectedModel.value = newModelId;
+    await restartWorker();
+  };
 
+  // Tear down the worker and start a fresh one for the current model/backend
+  const restartWorker = async () => {
     // Terminate existing worker
+    clearTimeout(stopTimer);
+    stopTimer = null;
     if (worker.value) {
       worker.value.terminate();
       worker.value = null;
     }
+    workerRequests.forEach(({ reject }) => reject(new Error("Worker terminated")));
+    workerRequests.clear();
 
     // Reset state
     // Don't clear messages view when switching model, context remains
     isGenerating.value = false;
+    streamingContent.value = "";
 
     // Re-initialize
-    await initModel();
+    startWorker();
   };
 
   const pushMessage = (msg) => {
+    if (!msg.id) msg.id = crypto.randomUUID();
     if (!msg.timestamp) msg.timestamp = Date.now();
 
     // Key: Attach the current chat ID
     if (activeChatId.value) {
       msg.chatId = activeChatId.value;
+      appendToActivePath(msg);
       messageStore.addMessage(msg);
       messages.value.push(msg);
     } else {
@@ -628,8 +1138,9 @@ export function useChat() {
     }
   };
 
-  const sendMessage = async (content) => {
-    if (!worker.value || !content.trim()) return;
+  // images: parts returned by saveImages()
+  const sendMessage = async (content, images = []) => {
+    if (!worker.value || (!content.trim() && images.length === 0)) return;
 
     // Ensure we have an active chat
     if (!activeChatId.value) {
@@ -644,150 +1155,780 @@ export function useChat() {
       }
     }
 
-    // Auto-update title if it's "New Chat" and it's the first few messages
-    if (activeChatTitle.value === "New Chat" && messages.value.length < 2) {
-      const newTitle = content.slice(0, 30) + (content.length > 30 ? "..." : "");
-      await renameChat(activeChatId.value, newTitle);
+    // Auto-update title if it's "New Chat" and it's the first few messages.
+    // The model replaces this with a generated title once it has replied.
+    if (activeChatTitle.value === "New Chat" && messages.value.length < 2 && content.trim()) {
+      await renameChat(activeChatId.value, truncateTitle(content), "auto");
     }
 
-    const msg = { role: "user", content, timestamp: Date.now() };
+    const msg = { role: "user", content: buildContent(content, images), timestamp: Date.now() };
     pushMessage(msg);
     isGenerating.value = true;
     postChatToWorker();
   };
 
-  const postChatToWorker = () => {
-    // 1. Get the dynamic system prompt and tool definitions
-    // We use llmTools (hidden params) for the worker
-    const { prompt: systemPrompt, llmTools } = buildSystemPrompt();
+  // Sanitize a stored message into the plain-text shape the engine expects
+  const toWorkerMessage = (msg) => {
+    // Deep copy
+    const cleanMsg = JSON.parse(JSON.stringify(msg));
 
-    // 2. Prepare Messages (Sanitize + Prepend System Prompt)
+    if (cleanMsg.role === 'assistant' && cleanMsg.tool_calls && cleanMsg.tool_calls.length > 0) {
+      // Convert tool_calls to text content for the kept message
+      const toolsObj = cleanMsg.tool_calls.map(tc => {
+        let args = tc.function.arguments;
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args);
+          } catch (e) { /* ignore */ }
+        }
+        return {
+          name: tc.function.name,
+          arguments: args
+        };
+      });
 
-    const processedMessages = [];
-    const rawMessages = messages.value.filter(m => m.role !== 'system');
+      const toolsJson = "```json\n" + JSON.stringify(toolsObj, null, 2) + "\n```";
 
-    for (let i = 0; i < rawMessages.length; i++) {
-      const msg = rawMessages[i];
+      if (cleanMsg.content) {
+        cleanMsg.content += `\n${toolsJson}`;
+      } else {
+        cleanMsg.content = toolsJson;
+      }
 
-      // Deep copy
-      const cleanMsg = JSON.parse(JSON.stringify(msg));
+      // Remove the structured field so engine treats it as just text
+      delete cleanMsg.tool_calls;
+    }
 
-      if (cleanMsg.role === 'assistant' && cleanMsg.tool_calls && cleanMsg.tool_calls.length > 0) {
-        // Convert tool_calls to text content for the kept message
-        const toolsObj = cleanMsg.tool_calls.map(tc => {
-          let args = tc.function.arguments;
-          if (typeof args === 'string') {
-            try {
-              args = JSON.parse(args);
-            } catch (e) { /* ignore */ }
-          }
-          return {
-            name: tc.function.name,
-            arguments: args
-          };
-        });
+    // Downgrade Tool Output to User Message
+    if (cleanMsg.role === 'tool') {
+      cleanMsg.role = 'user';
+      // Use a distinctive header
+      cleanMsg.content = `Tool Output [${cleanMsg.name}]:\n${cleanMsg.content}`;
+      // Aggressively clean up tool-specific fields that might confuse the engine
+      delete cleanMsg.tool_call_id;
+      delete cleanMsg.name;
+    }
 
-        const toolsJson = "```json\n" + JSON.stringify(toolsObj, null, 2) + "\n```";
+    if (cleanMsg.role === 'assistant' && cleanMsg.content === null) {
+      cleanMsg.content = "";
+    }
 
-        if (cleanMsg.content) {
-          cleanMsg.content += `\n${toolsJson}`;
-        } else {
-          cleanMsg.content = toolsJson;
-        }
+    // Images are added back as content parts in postChatToWorker for models that can see them
+    if (Array.isArray(cleanMsg.content)) {
+      cleanMsg.content = toTextContent(cleanMsg.content);
+    }
 
-        // Remove the structured field so engine treats it as just text
-        delete cleanMsg.tool_calls;
-      }
+    return cleanMsg;
+  };
 
-      // Downgrade Tool Output to User Message
-      if (cleanMsg.role === 'tool') {
-        cleanMsg.role = 'user';
-        // Use a distinctive header
-        cleanMsg.content = `Tool Output [${cleanMsg.name}]:\n${cleanMsg.content}`;
-        // Aggressively clean up tool-specific fields that might confuse the engine
-        delete cleanMsg.tool_call_id;
-        delete cleanMsg.name;
-      }
+  // --- Context Budgeting ---
 
-      if (cleanMsg.role === 'assistant' && cleanMsg.content === null) {
-        cleanMsg.content = "";
+  // Send a request to the worker and wait for the matching "result" message
+  const requestFromWorker = (type, payload) => {
+    return new Promise((resolve, reject) => {
+      if (!worker.value) {
+        reject(new Error("Worker not initialized"));
+        return;
       }
+      const requestId = crypto.randomUUID();
+      workerRequests.set(requestId, { resolve, reject });
+      worker.value.postMessage({ type, requestId, payload });
+    });
+  };
+
+  // Which tokenizer counts come from: the loaded WebLLM model, or the chars/4 estimate
+  // (server backends, which only estimate, and WebLLM when counting fails)
+  const ESTIMATED_COUNTS = "estimate";
+  const tokenCounter = () => isRemoteBackend() ? ESTIMATED_COUNTS : selectedModel.value;
 
-      processedMessages.push(cleanMsg);
+  // Returns { counts, counter }
+  const countTokens = async (texts) => {
+    try {
+      return { counts: await requestFromWorker("count_tokens", { texts }), counter: tokenCounter() };
+    } catch (e) {
+      console.warn("Token counting failed, falling back to estimate:", e);
+      return { counts: texts.map(estimateTokens), counter: ESTIMATED_COUNTS };
     }
+  };
 
-    const finalMessages = [systemPrompt, ...processedMessages];
+  const getContextBudget = (modelId) => {
+    const custom = Number(contextBudgets.value[modelId]);
+    if (Number.isFinite(custom) && custom > 0) return custom;
+    const model = availableModels.value.find(m => m.id === modelId);
+    return model?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  };
 
-    // 3. Send to Worker
-    const payload = JSON.parse(JSON.stringify({
-      messages: finalMessages,
-      tools: llmTools // Send hidden tools to LLM
-    }));
+  const setContextBudget = (modelId, tokens) => {
+    const value = Number(tokens);
+    if (Number.isFinite(value) && value > 0) {
+      contextBudgets.value = { ...contextBudgets.value, [modelId]: Math.floor(value) };
+    } else {
+      const { [modelId]: _, ...rest } = contextBudgets.value;
+      contextBudgets.value = rest;
+    }
+    saveToStorage();
+  };
 
-    worker.value.postMessage({
-      type: "chat",
-      payload: payload
-    });
+  // --- Native Function Calling ---
+  // Supported models can hand `tools` to WebLLM and use the engine's tool_calls
+  // instead of our text parsers. Off by default; toggled per model.
+  const supportsNativeTools = (modelId) => {
+    return !!availableModels.value.find(m => m.id === modelId)?.nativeTools;
   };
 
-  // --- Tool Execution Logic ---
+  const isNativeToolCalling = (modelId) => {
+    return supportsNativeTools(modelId) && nativeToolModels.value.includes(modelId);
+  };
 
-  const ajv = new Ajv();
+  const setNativeToolCalling = (modelId, enabled) => {
+    const others = nativeToolModels.value.filter(id => id !== modelId);
+    nativeToolModels.value = enabled ? [...others, modelId] : others;
+    saveToStorage();
+  };
 
-  // Helper to generate a valid example from a schema
-  const generateExample = (schema) => {
-    if (!schema) return {};
+  // Fill in the cached tokenCount of every message that has none, or one made by
+  // another tokenizer (the model or backend changed since)
+  const ensureTokenCounts = async (history) => {
+    const counter = tokenCounter();
+    const stale = history.filter(m => typeof m.tokenCount !== 'number' || m.tokenCountModel !== counter);
+    if (stale.length === 0) return;
+
+    const { counts, counter: countedWith } = await countTokens(stale.map(m => toWorkerMessage(m).content || ""));
+    stale.forEach((m, i) => {
+      m.tokenCount = counts[i] + MESSAGE_TOKEN_OVERHEAD + imageParts(m.content).length * IMAGE_TOKEN_ESTIMATE;
+      m.tokenCountModel = countedWith;
+    });
 
-    if (schema.example) return schema.example;
-    if (schema.default) return schema.default;
-    if (schema.const) return schema.const;
-    if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+    // The counts are in memory either way; saving them only spares recounting
+    try {
+      await Promise.all(stale.map(m => messageStore.updateMessage(toRaw(m))));
+    } catch (e) {
+      console.warn("Failed to save token counts:", e);
+    }
+  };
 
-    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  const withSummary = (systemPrompt, summary) => {
+    if (!summary) return systemPrompt;
+    return {
+      ...systemPrompt,
+      content: `${systemPrompt.content}\n\nSUMMARY OF EARLIER CONVERSATION (older messages were compacted):\n${summary.content}`
+    };
+  };
 
-    if (type === 'object') {
-      const example = {};
-      const requiredFields = schema.required || [];
+  // Ask the loaded model to condense the dropped messages. Returns null on failure.
+  const summarizeMessages = async (previousSummary, dropped, budget) => {
+    let transcript = dropped
+      .map(m => `${m.role.toUpperCase()}: ${(m.content || "").slice(0, SUMMARY_MESSAGE_CHARS)}`)
+      .join("\n\n");
+    if (previousSummary) {
+      transcript = `PREVIOUS SUMMARY:\n${previousSummary}\n\n${transcript}`;
+    }
+    // Keep the summarization request itself well inside the context window
+    transcript = transcript.slice(-budget * 2);
 
-      if (schema.properties) {
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-          // Only include required fields to keep examples minimal
-          if (requiredFields.includes(key)) {
-            example[key] = generateExample(propSchema);
-          }
-        }
-      }
-      return example;
+    try {
+      return await requestFromWorker("summarize", {
+        messages: [
+          { role: "system", content: SUMMARY_PROMPT },
+          { role: "user", content: transcript }
+        ],
+        max_tokens: SUMMARY_MAX_TOKENS
+      });
+    } catch (e) {
+      console.warn("Summarization failed, eliding history instead:", e);
+      return null;
     }
+  };
 
-    if (type === 'array') {
-      if (schema.items) {
-        return [generateExample(schema.items)];
-      }
-      return [];
+  // If the history doesn't fit the model's budget, fold the oldest messages into
+  // a summary message. The messages stay in the chat but are no longer sent.
+  const compactHistory = async (systemPrompt, history) => {
+    const reserve = buildGenerationConfig().max_tokens || DEFAULT_REPLY_RESERVE;
+    const budget = getContextBudget(selectedModel.value) - reserve;
+    const summary = latestSummary.value;
+
+    const { counts: [systemTokens] } = await countTokens([withSummary(systemPrompt, summary).content]);
+    await ensureTokenCounts(history);
+
+    const total = history.reduce((sum, m) => sum + m.tokenCount, systemTokens);
+    if (total <= budget) return;
+
+    // Drop the oldest messages until we're comfortably under budget,
+    // always keeping the latest message.
+    const target = budget * COMPACTION_TARGET;
+    let cut = 0;
+    let remaining = total;
+    while (cut < history.length - 1 && remaining > target) {
+      remaining -= history[cut].tokenCount;
+      cut++;
     }
+    // Don't start the kept history with an orphaned tool output
+    while (cut < history.length - 1 && history[cut].role === 'tool') {
+      cut++;
+    }
+    if (cut === 0) return;
 
-    if (type === 'string') return "example_string";
-    if (type === 'number' || type === 'integer') return 123;
-    if (type === 'boolean') return true;
-    if (type === 'null') return null;
+    const dropped = history.slice(0, cut);
+    isCompacting.value = true;
+    let content;
+    try {
+      content = await summarizeMessages(summary?.content, dropped.map(toWorkerMessage), budget);
+    } finally {
+      isCompacting.value = false;
+    }
 
-    return {};
+    // Stopped while summarizing
+    if (!isGenerating.value) return;
+
+    const compactedIds = [...(summary?.compactedIds || []), ...dropped.map(m => m.id)];
+    pushMessage({
+      role: "summary",
+      content: content || `_${compactedIds.length} earlier messages were removed to fit the context window._`,
+      elided: !content,
+      compactedIds
+    });
   };
 
-  // Helper to validate a single tool call
-  const validateToolCall = (call, activeTools) => {
-    if (call.function.name === 'getToolSchema') return { valid: true };
+  // --- Documents (retrieval-augmented answers) ---
 
-    const toolDef = activeTools.find(t => t.function.name === call.function.name);
-    if (!toolDef) {
-      return { valid: false, error: `Tool '${call.function.name}' not found.` };
+  // Start the embedding worker on first use and wait for its model to load
+  const startEmbeddingWorker = () => {
+    if (embeddingReady) return embeddingReady;
+    if (!navigator.gpu) return Promise.reject(new Error("Document search needs WebGPU to run the embedding model"));
+
+    embeddingWorker = new EmbeddingWorker();
+    embeddingReady = new Promise((resolve, reject) => {
+      embeddingWorker.onmessage = (e) => {
+        const { type, data, error, requestId } = e.data;
+
+        if (requestId && embeddingRequests.has(requestId)) {
+          const request = embeddingRequests.get(requestId);
+          embeddingRequests.delete(requestId);
+          if (type === "error") request.reject(new Error(error));
+          else request.resolve(data);
+          return;
+        }
+
+        if (type === "progress") {
+          embeddingStatus.value = { loading: true, progress: data.progress, text: data.text };
+        } else if (type === "ready") {
+          embeddingStatus.value = null;
+          resolve();
+        } else if (type === "error") {
+          embeddingStatus.value = null;
+          embeddingWorker.terminate();
+          embeddingWorker = null;
+          embeddingReady = null;
+          reject(new Error(error));
+        }
+      };
+    });
+    embeddingWorker.postMessage({ type: "init", payload: { modelId: EMBEDDING_MODEL_ID } });
+    return embeddingReady;
+  };
+
+  const embedTexts = async (texts) => {
+    await startEmbeddingWorker();
+    return new Promise((resolve, reject) => {
+      const requestId = crypto.randomUUID();
+      embeddingRequests.set(requestId, { resolve, reject });
+      embeddingWorker.postMessage({ type: "embed", requestId, payload: { texts } });
+    });
+  };
+
+  const loadDocuments = async (projectId) => {
+    try {
+      documents.value = await messageStore.getDocuments(projectId);
+      documentChunks = documents.value.length ? await messageStore.getDocumentChunks(projectId) : [];
+    } catch (e) {
+      console.error("Failed to load documents", e);
+      documents.value = [];
+      documentChunks = [];
+    }
+  };
+
+  // Read, chunk and embed files, then store them with the current project.
+  // Returns the names of files that were skipped, with the reason.
+  const addDocuments = async (files) => {
+    const project = projects.value.find(p => p.id === currentProjectId.value);
+    // Chunks are stored unencrypted, so locked-down projects can't hold documents
+    if (!project || project.isPasswordProtected) {
+      throw new Error("Documents can't be attached to password-protected projects");
+    }
+
+    const skipped = [];
+    try {
+      for (const file of files) {
+        const text = await file.text();
+        const texts = chunkText(text);
+        if (texts.length === 0) {
+          skipped.push({ name: file.name, reason: "File is empty" });
+          continue;
+        }
+
+        embeddingStatus.value = { loading: false, progress: 0, text: `Indexing ${file.name} (${texts.length} chunks)...` };
+        const vectors = await embedTexts(texts);
+        const document = await messageStore.addDocument(
+          { projectId: project.id, name: file.name, type: file.type, size: file.size, chunkCount: texts.length },
+          texts.map((chunk, index) => ({ index, documentName: file.name, text: chunk, vector: vectors[index] }))
+        );
+        documents.value.push(document);
+      }
+    } finally {
+      embeddingStatus.value = null;
+      await loadDocuments(project.id);
+    }
+    return skipped;
+  };
+
+  const removeDocument = async (documentId) => {
+    await messageStore.deleteDocument(documentId);
+    await loadDocuments(currentProjectId.value);
+  };
+
+  // --- Snippets ---
+  const loadSnippets = async (projectId) => {
+    try {
+      snippets.value = await messageStore.getSnippets(projectId);
+    } catch (e) {
+      console.error("Failed to load snippets", e);
+      snippets.value = [];
+    }
+  };
+
+  // Create or update a snippet of the current project: { id?, name, body }
+  const saveSnippet = async ({ id, name, body }) => {
+    const project = projects.value.find(p => p.id === currentProjectId.value);
+    // Snippets are stored unencrypted, like documents
+    if (!project || project.isPasswordProtected) {
+      throw new Error("Snippets can't be saved in password-protected projects");
+    }
+
+    const trimmedName = (name || "").trim();
+    if (!SNIPPET_NAME_PATTERN.test(trimmedName)) {
+      throw new Error("Use letters, digits, '-' or '_' for the name (no spaces)");
+    }
+    if (SLASH_COMMANDS.some(c => c.name === trimmedName.toLowerCase())) {
+      throw new Error(`/${trimmedName} is a built-in command`);
+    }
+    if (snippets.value.some(s => s.id !== id && s.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`A snippet named /${trimmedName} already exists`);
+    }
+    if (!body?.trim()) throw new Error("Snippet text is empty");
+
+    const existing = snippets.value.find(s => s.id === id);
+    await messageStore.saveSnippet({ ...(existing ? toRaw(existing) : { projectId: project.id }), name: trimmedName, body });
+    await loadSnippets(project.id);
+  };
+
+  const deleteSnippet = async (snippetId) => {
+    await messageStore.deleteSnippet(snippetId);
+    await loadSnippets(currentProjectId.value);
+  };
+
+  // Find the document chunks most relevant to a question
+  const retrieveChunks = async (query) => {
+    if (!documentChunks.length || !query?.trim()) return [];
+    const [queryVector] = await embedTexts([EMBEDDING_QUERY_PREFIX + query]);
+    return topChunks(queryVector, documentChunks, RETRIEVAL_TOP_K, RETRIEVAL_MIN_SCORE);
+  };
+
+  // --- Images ---
+
+  // Whether the current model/backend accepts image content parts
+  const canSeeImages = () => {
+    if (isRemoteBackend()) return !!backendSettings.value.vision;
+    return !!availableModels.value.find(m => m.id === selectedModel.value)?.vision;
+  };
+
+  // Store picked/pasted/dropped image files for the active chat; returns content parts for sendMessage
+  const saveImages = async (files) => {
+    const parts = [];
+    for (const file of files) {
+      const attachment = await messageStore.saveAttachment(activeChatId.value, file, file.name);
+      parts.push({ type: "image", attachmentId: attachment.id, mimeType: attachment.mimeType, name: file.name });
+    }
+    return parts;
+  };
+
+  const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  // Replace the text-only content of messages with images by OpenAI-style content parts
+  const addImageParts = async (history, processed) => {
+    for (let i = 0; i < history.length; i++) {
+      const images = imageParts(history[i].content);
+      if (images.length === 0) continue;
+
+      const urls = new Map();
+      for (const image of images) {
+        const attachment = await messageStore.getAttachment(image.attachmentId);
+        if (attachment) urls.set(image.attachmentId, await blobToDataUrl(attachment.blob));
+      }
+      processed[i].content = toContentParts(history[i].content, urls);
+    }
+  };
+
+  // --- Chat Search ---
+
+  // Embed index entries written since the last semantic search
+  const embedPendingSearchEntries = async () => {
+    let pending = await messageStore.getUnembeddedSearchEntries(SEARCH_EMBED_BATCH);
+    while (pending.length) {
+      const vectors = await embedTexts(pending.map(e => e.text.slice(0, EMBEDDING_TEXT_CHARS)));
+      await messageStore.saveSearchVectors(pending.map((e, i) => ({ messageId: e.messageId, vector: vectors[i] })));
+      pending = await messageStore.getUnembeddedSearchEntries(SEARCH_EMBED_BATCH);
+    }
+  };
+
+  // Search stored messages of every unlocked project.
+  // mode: "keyword" (all words, prefix match) or "semantic" (embedding similarity)
+  const searchChats = async (query, mode = "keyword") => {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    let hits;
+    if (mode === "semantic") {
+      await embedPendingSearchEntries();
+      const [queryVector] = await embedTexts([EMBEDDING_QUERY_PREFIX + query]);
+      const entries = await messageStore.getEmbeddedSearchEntries();
+      hits = topChunks(queryVector, entries.filter(isSearchable), SEARCH_RESULT_LIMIT, SEARCH_MIN_SCORE);
+    } else {
+      const entries = await messageStore.findSearchEntries(queryTerms);
+      hits = entries
+        .filter(isSearchable)
+        .map(e => ({ ...e, score: keywordScore(queryTerms, e) }))
+        .filter(e => e.score > 0)
+        .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+        .slice(0, SEARCH_RESULT_LIMIT);
+    }
+
+    // Chat titles, one lookup per project
+    const titles = new Map();
+    for (const projectId of new Set(hits.map(h => h.projectId))) {
+      for (const chat of await messageStore.getChats(projectId)) titles.set(chat.id, chat.title);
+    }
+
+    return hits
+      .filter(h => titles.has(h.chatId))
+      .map(h => ({
+        messageId: h.messageId,
+        chatId: h.chatId,
+        projectId: h.projectId,
+        role: h.role,
+        timestamp: h.timestamp,
+        score: h.score,
+        chatTitle: titles.get(h.chatId),
+        projectName: projects.value.find(p => p.id === h.projectId)?.name,
+        snippet: snippet(h.text, queryTerms)
+      }));
+  };
+
+  const isSearchable = (entry) => {
+    return projects.value.some(p => p.id === entry.projectId) && !isProjectLocked(entry.projectId);
+  };
+
+  const openSearchResult = async (result) => {
+    if (isGenerating.value) return;
+    if (result.projectId !== currentProjectId.value) await selectProject(result.projectId);
+    await selectChat(result.chatId, result.messageId);
+  };
+
+  const postChatToWorker = async () => {
+    // Let running title requests finish first, including ones chained on while waiting
+    while (titleRequest) {
+      const pending = titleRequest;
+      await pending.catch(() => {});
+      if (titleRequest === pending) break;
+    }
+
+    // Generation was stopped (e.g. during a tool loop), don't start another turn
+    if (!isGenerating.value) return;
+
+    // 1. Get the dynamic system prompt and tool definitions
+    // We use llmTools (hidden params) for the worker
+    const { prompt: basePrompt, llmTools } = buildSystemPrompt();
+
+    // 2. Add the attached documents' passages that match the latest question
+    let systemPrompt = basePrompt;
+    retrievedSources = [];
+    if (documentChunks.length) {
+      const question = [...messages.value].reverse().find(m => m.role === 'user');
+      try {
+        const chunks = await retrieveChunks(contentText(question?.content));
+        if (chunks.length) {
+          systemPrompt = { ...basePrompt, content: `${basePrompt.content}\n\n${formatContext(chunks)}` };
+          retrievedSources = chunks.map(c => ({
+            documentId: c.documentId,
+            documentName: c.documentName,
+            index: c.index,
+            score: c.score,
+            excerpt: c.text.slice(0, SOURCE_EXCERPT_CHARS)
+          }));
+        }
+      } catch (e) {
+        console.warn("Document retrieval failed, answering without documents:", e);
+      }
+      if (!isGenerating.value) return;
+    }
+
+    // 3. Fit the history into the context budget (compacting if needed)
+    const isSendable = m => m.role !== 'system' && m.role !== 'summary' && !compactedMessageIds.value.has(m.id);
+    try {
+      await compactHistory(systemPrompt, messages.value.filter(isSendable));
+    } catch (e) {
+      console.warn("Context budgeting failed, sending full history:", e);
+    }
+
+    if (!isGenerating.value) return;
+
+    // 4. Prepare Messages (Sanitize + Prepend System Prompt)
+    const sendable = messages.value.filter(isSendable);
+    const processedMessages = sendable.map(toWorkerMessage);
+    if (canSeeImages()) {
+      try {
+        await addImageParts(sendable, processedMessages);
+      } catch (e) {
+        console.warn("Failed to load image attachments, sending text only:", e);
+      }
+      if (!isGenerating.value) return;
+    }
+    const finalMessages = [withSummary(systemPrompt, latestSummary.value), ...processedMessages];
+
+    // 5. Send to Worker
+    const payload = JSON.parse(JSON.stringify({
+      // The engine refuses the request if another tab loaded a different model meanwhile
+      modelId: isRemoteBackend() ? undefined : selectedModel.value,
+      messages: finalMessages,
+      tools: llmTools, // Send hidden tools to LLM
+      generation: buildGenerationConfig(),
+      toolParser: isRemoteBackend()
+        ? backendSettings.value.toolParser
+        : availableModels.value.find(m => m.id === selectedModel.value)?.toolParser,
+      // WebLLM can't combine a response_format with tool calling
+      nativeTools: !responseSchema.value && (isRemoteBackend()
+        ? backendSettings.value.nativeTools
+        : isNativeToolCalling(selectedModel.value)),
+      responseFormat: responseSchema.value
+        ? { type: "json_object", schema: JSON.stringify(responseSchema.value) }
+        : undefined
+    }));
+
+    worker.value.postMessage({
+      type: "chat",
+      payload: payload
+    });
+  };
+
+  // --- Model Comparison ---
+  // Runs one prompt against several models, one at a time, each in a throwaway
+  // worker so the chat's own engine is left alone.
+  const runComparisonStep = (result, payload) => new Promise((resolve) => {
+    const compareWorker = new LlmWorker();
+    const startedAt = performance.now();
+    comparisonWorker = compareWorker;
+
+    const finish = () => {
+      compareWorker.terminate();
+      if (comparisonWorker === compareWorker) comparisonWorker = null;
+      finishComparisonRun = null;
+      resolve();
+    };
+    finishComparisonRun = finish;
+
+    compareWorker.onmessage = (e) => {
+      const { type, data, message, error } = e.data;
+      if (type === "progress") {
+        result.loadProgress = data.progress;
+        result.loadText = data.text;
+      } else if (type === "ready") {
+        result.loadSec = (performance.now() - startedAt) / 1000;
+        result.status = "generating";
+        compareWorker.postMessage({
+          type: "chat",
+          payload: {
+            ...payload,
+            toolParser: availableModels.value.find(m => m.id === result.modelId)?.toolParser,
+            nativeTools: isNativeToolCalling(result.modelId)
+          }
+        });
+      } else if (type === "chunk") {
+        result.content = data.content;
+      } else if (type === "complete") {
+        result.content = message.content || "";
+        result.tool_calls = message.tool_calls || [];
+        result.stats = message.stats || null;
+        result.status = "done";
+        finish();
+      } else if (type === "error") {
+        result.error = error;
+        result.status = "error";
+        finish();
+      }
+    };
+
+    result.status = "loading";
+    compareWorker.postMessage({
+      type: "init",
+      payload: {
+        modelId: result.modelId,
+        customModels: JSON.parse(JSON.stringify(customModels.value))
+      }
+    });
+  });
+
+  const runComparison = async (prompt, modelIds) => {
+    if (comparison.value?.running || !prompt.trim() || modelIds.length === 0) return;
+
+    // Same system prompt and tools the chat would use, but no history
+    const { prompt: systemPrompt, llmTools } = buildSystemPrompt();
+    const payload = JSON.parse(JSON.stringify({
+      messages: [systemPrompt, { role: "user", content: prompt }],
+      tools: llmTools,
+      generation: buildGenerationConfig()
+    }));
+
+    comparison.value = {
+      prompt,
+      running: true,
+      results: modelIds.map(modelId => ({
+        modelId, status: "waiting", content: "", tool_calls: [], stats: null,
+        error: null, loadProgress: 0, loadText: "", loadSec: null
+      }))
+    };
+
+    for (const result of comparison.value.results) {
+      if (!comparison.value.running) {
+        result.status = "cancelled";
+        continue;
+      }
+      await runComparisonStep(result, payload);
+    }
+    comparison.value.running = false;
+  };
+
+  const cancelComparison = () => {
+    if (!comparison.value?.running) return;
+    comparison.value.running = false;
+    const current = comparison.value.results.find(r => r.status === "loading" || r.status === "generating");
+    if (current) current.status = "cancelled";
+    finishComparisonRun?.();
+  };
+
+  // Copy a compared answer into the chat as if the chat model had written it
+  const promoteComparison = async (index) => {
+    const result = comparison.value?.results[index];
+    if (!result || result.status !== "done" || isGenerating.value) return;
+
+    pushMessage({ role: "user", content: comparison.value.prompt });
+    const message = JSON.parse(JSON.stringify({
+      role: "assistant",
+      content: result.content || null,
+      tool_calls: result.tool_calls,
+      stats: result.stats
+    }));
+
+    if (message.tool_calls.length && worker.value) {
+      // Run the requested tools; the chat model takes over from there
+      message.id = crypto.randomUUID();
+      message.chatId = activeChatId.value;
+      isGenerating.value = true;
+      appendToActivePath(message);
+      await messageStore.addMessage(message);
+      await handleWorkerResponse(message);
+    } else {
+      pushMessage(message);
+    }
+  };
+
+  // --- Tool Execution Logic ---
+
+  const ajv = new Ajv();
+  const compileSchema = createSchemaCompiler(ajv);
+
+  // Helper to generate a valid example from a schema
+  const generateExample = (schema) => {
+    if (!schema) return {};
+
+    if (schema.example) return schema.example;
+    if (schema.default) return schema.default;
+    if (schema.const) return schema.const;
+    if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    if (type === 'object') {
+      const example = {};
+      const requiredFields = schema.required || [];
+
+      if (schema.properties) {
+        for (const [key, propSchema] of Object.entries(schema.properties)) {
+          // Only include required fields to keep examples minimal
+          if (requiredFields.includes(key)) {
+            example[key] = generateExample(propSchema);
+          }
+        }
+      }
+      return example;
+    }
+
+    if (type === 'array') {
+      if (schema.items) {
+        return [generateExample(schema.items)];
+      }
+      return [];
+    }
+
+    if (type === 'string') return "example_string";
+    if (type === 'number' || type === 'integer') return 123;
+    if (type === 'boolean') return true;
+    if (type === 'null') return null;
+
+    return {};
+  };
+
+  // Structured output: validate the reply against the chat's schema and pretty-print it.
+  // The result is kept on the message so the UI can flag replies that don't conform.
+  const applyResponseSchema = (message) => {
+    if (!message.content) return;
+
+    let data;
+    try {
+      data = JSON.parse(message.content);
+    } catch (e) {
+      message.structured = { valid: false, error: "Invalid JSON: " + e.message };
+      return;
+    }
+
+    message.content = JSON.stringify(data, null, 2);
+    try {
+      const validate = compileSchema(toRaw(responseSchema.value));
+      message.structured = validate(data)
+        ? { valid: true }
+        : { valid: false, error: ajv.errorsText(validate.errors) };
+    } catch (e) {
+      // The reply is kept either way
+      message.structured = { valid: false, error: "Invalid JSON Schema: " + e.message };
+    }
+  };
+
+  // Helper to validate a single tool call
+  const validateToolCall = (call, activeTools) => {
+    if (call.function.name === 'getToolSchema') return { valid: true };
+
+    const toolDef = activeTools.find(t => t.function.name === call.function.name);
+    if (!toolDef) {
+      return { valid: false, error: `Tool '${call.function.name}' not found.` };
     }
 
     try {
       const args = JSON.parse(call.function.arguments);
       if (toolDef.function.parameters) {
-        const validate = ajv.compile(toolDef.function.parameters);
+        const validate = compileSchema(toolDef.function.parameters);
         const valid = validate(args);
         if (!valid) {
           return {
@@ -877,20 +2018,13 @@ export function useChat() {
       // 4. Check Permissions for the VALID calls only
       // We don't ask permission for the error call, we just report it.
 
-      const allowAll = localStorage.getItem('mcp_allow_all') === 'true';
-      const alwaysAllowed = ['getToolSchema', 'listTools'];
-
-      const needsApproval = callsToProcess.filter(call => {
-        if (alwaysAllowed.includes(call.function.name)) return false;
-        if (allowAll) return false;
-        if (sessionAllowed.value.has(call.function.name)) return false;
-        return true;
-      });
+      // Allowed calls run, denied ones are refused by runToolCall; only "ask" needs the user
+      const needsApproval = callsToProcess.filter(call => !approvalOf(call.function.name));
 
       // Define execution runner
       const runExecution = async () => {
         if (callsToProcess.length > 0) {
-          await executeTools(callsToProcess, !!errorCall);
+          await executeTools(callsToProcess);
         }
         if (errorCall) {
           const { call, result } = errorCall;
@@ -923,6 +2057,7 @@ export function useChat() {
         await runExecution();
       } else {
         pendingToolCalls.value = {
+          messageId: message.id,
           calls: callsToProcess,
           errorCall: errorCall
         };
@@ -930,7 +2065,56 @@ export function useChat() {
     } else {
       messages.value.push(message);
       isGenerating.value = false;
+      maybeGenerateTitle();
+    }
+  };
+
+  // Check arguments typed by the user against the tool's schema (same checks as model calls)
+  const validateToolArguments = (name, argumentsText) => {
+    try {
+      const args = JSON.parse(argumentsText);
+      if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { valid: false, error: "Arguments must be a JSON object" };
+      }
+    } catch (e) {
+      return { valid: false, error: "Invalid JSON arguments: " + e.message };
     }
+    const { tools: activeTools } = buildSystemPrompt();
+    return validateToolCall({ function: { name, arguments: argumentsText } }, activeTools);
+  };
+
+  // Replace the arguments of a call awaiting approval with the user's version. The stored
+  // assistant message keeps the edit, marked edited_by_user with the model's original_arguments.
+  const editPendingToolCall = async (callId, argumentsText) => {
+    const pending = pendingToolCalls.value;
+    const call = pending?.calls.find(c => c.id === callId);
+    if (!call) return;
+
+    const result = validateToolArguments(call.function.name, argumentsText);
+    if (!result.valid) throw new Error(result.error);
+
+    const sameArguments = (a, b) => {
+      try {
+        return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+      } catch (e) {
+        return false;
+      }
+    };
+    if (sameArguments(argumentsText, call.function.arguments)) return;
+
+    if (call.edited_by_user && sameArguments(argumentsText, call.original_arguments)) {
+      // Edited back to what the model sent
+      call.function.arguments = call.original_arguments;
+      delete call.edited_by_user;
+      delete call.original_arguments;
+    } else {
+      if (!call.edited_by_user) call.original_arguments = call.function.arguments;
+      call.function.arguments = JSON.stringify(JSON.parse(argumentsText));
+      call.edited_by_user = true;
+    }
+
+    const message = messages.value.find(m => m.id === pending.messageId);
+    if (message) await messageStore.updateMessage(toRaw(message));
   };
 
   const approveToolCalls = async (mode) => {
@@ -939,14 +2123,28 @@ export function useChat() {
     const calls = pendingToolCalls.value.calls;
     const errorCall = pendingToolCalls.value.errorCall;
 
-    if (mode === 'always') localStorage.setItem('mcp_allow_all', 'true');
+    // For the audit log, before the choice below changes the policies
+    const approvals = {};
+    for (const call of calls) {
+      const approval = approvalOf(call.function.name);
+      approvals[call.id] = approval ? { approval } : { approval: mode, prompted: true };
+    }
+
+    // Remember the approval for exactly the tools that asked, never for everything
+    const asked = calls.filter(call => getToolPolicy(call.function.name) === 'ask');
     if (mode === 'session') {
-      // Add all pending tools to the session allowed set
-      calls.forEach(call => sessionAllowed.value.add(call.function.name));
+      asked.forEach(call => sessionAllowed.value.add(toolKey(call.function.name)));
+    }
+    if (mode === 'project' || mode === 'always') {
+      const projectId = mode === 'project' ? currentProjectId.value : null;
+      for (const call of asked) {
+        const server = toolServer(call.function.name);
+        if (server) await setToolPolicy({ projectId, server, tool: call.function.name }, 'allow');
+      }
     }
 
     pendingToolCalls.value = null;
-    await executeTools(calls, !!errorCall);
+    await executeTools(calls, approvals);
 
     // If we had a pending error call that was deferred, report it now
     if (errorCall) {
@@ -971,6 +2169,15 @@ export function useChat() {
   };
 
   const cancelToolCalls = () => {
+    for (const call of pendingToolCalls.value?.calls || []) {
+      recordToolAudit(call, {
+        ...auditContext(),
+        approval: 'declined',
+        prompted: true,
+        startedAt: Date.now(),
+        error: "Declined by the user"
+      });
+    }
     pendingToolCalls.value = null;
     isGenerating.value = false;
     pushMessage({
@@ -1011,282 +2218,470 @@ export function useChat() {
     });
   }
 
-  const executeTools = async (calls) => {
+  // Built-in tools that only read state; repeated calls to them may run in parallel
+  const READ_ONLY_TOOLS = ['getToolSchema', 'listTools'];
+  const BUILTIN_TOOLS = [...READ_ONLY_TOOLS, 'evalCode'];
+  // For batching, MCP tools marked readOnlyHint count as read-only too
+  const isReadOnlyTool = (name) => READ_ONLY_TOOLS.includes(name) || isReadOnlyHint(toolAnnotations(name));
+
+  // --- Tool Policies ---
+  const loadToolPolicies = async () => {
+    try {
+      toolPolicies.value = await messageStore.getToolPolicies();
+    } catch (e) {
+      console.error("Failed to load tool policies", e);
+      toolPolicies.value = [];
+    }
+    // The old allow-everything switch is no longer honored
+    localStorage.removeItem('mcp_allow_all');
+  };
+
+  // Server a tool belongs to: the URL of the first connected server offering it,
+  // BUILTIN_SERVER for the app's own tools, null if nothing provides it
+  const toolServer = (name) => {
+    if (BUILTIN_TOOLS.includes(name)) return BUILTIN_SERVER;
+    const server = mcpServers.find(s =>
+      s.enabled && s.status === 'connected' && s.client.tools.some(t => t.function.name === name)
+    );
+    return server ? server.url : null;
+  };
+
+  const toolKey = (name) => `${toolServer(name)}::${name}`;
+
+  // MCP annotations of a tool ({} when its server gave none), null for built-in and unknown tools
+  const toolAnnotations = (name) => {
+    for (const server of mcpServers) {
+      if (!server.enabled || server.status !== 'connected') continue;
+      const tool = server.client.tools.find(t => t.function.name === name);
+      if (tool) return tool.annotations || {};
+    }
+    return null;
+  };
+
+  // Destructive tools ask every time: no session approval skips the prompt
+  const mustConfirmTool = (name) => annotationPolicy.value.confirmDestructive &&
+    isDestructiveHint(toolAnnotations(name), annotationPolicy.value.assumeDestructive);
+
+  // How a call may go ahead without the prompt: 'policy' (allowed by a rule or the
+  // default), 'session' (approved earlier), 'denied' (refused by a rule), or null
+  // when the user has to decide. Also the approval recorded in the audit log.
+  const approvalOf = (name) => {
+    const policy = getToolPolicy(name);
+    if (policy === 'allow') return 'policy';
+    if (policy === 'deny') return 'denied';
+    if (!mustConfirmTool(name) && sessionAllowed.value.has(toolKey(name))) return 'session';
+    return null;
+  };
+
+  // Policy for calling a tool in the current project. Without a rule, the built-in
+  // read-only tools are allowed and everything else asks; the annotation policy
+  // then applies on top (see services/toolAnnotations.js).
+  const getToolPolicy = (name, projectId = currentProjectId.value) => {
+    const server = toolServer(name);
+    if (!server) return 'ask';
+    return resolvePolicy(toolPolicies.value, { projectId, server, tool: name }, {
+      fallback: READ_ONLY_TOOLS.includes(name) ? 'allow' : 'ask',
+      adjust: (policy, hasRule) => applyAnnotationPolicy(policy, hasRule, toolAnnotations(name), annotationPolicy.value)
+    });
+  };
+
+  const setAnnotationPolicy = (changes) => {
+    annotationPolicy.value = { ...annotationPolicy.value, ...changes };
+    saveToStorage();
+  };
+
+  // target: { projectId (null = all projects), server, tool (null = the whole server) }.
+  // A null policy removes the rule, so the target inherits again.
+  const setToolPolicy = async (target, policy) => {
+    const rule = { projectId: target.projectId || null, server: target.server, tool: target.tool || null };
+    const id = policyId(rule);
+    if (policy) {
+      await messageStore.saveToolPolicy({ id, ...rule, policy });
+    } else {
+      await messageStore.deleteToolPolicy(id);
+    }
+    await loadToolPolicies();
+  };
+
+  // --- Tool Audit Log ---
+  // Where a call runs, taken when it starts (the user may switch chats meanwhile).
+  // Password-protected projects only log which tools ran, not their arguments.
+  const auditContext = () => {
+    const project = projects.value.find(p => p.id === currentProjectId.value);
+    return {
+      projectId: currentProjectId.value,
+      chatId: activeChatId.value,
+      redact: !!project?.isPasswordProtected
+    };
+  };
+
+  // Failing to write the log never fails the call
+  const recordToolAudit = (call, details) => {
+    const entry = buildAuditEntry(call, { server: toolServer(call.function.name), ...details });
+    messageStore.appendAuditEntry(entry).catch(e => console.error("Failed to write the tool audit log", e));
+  };
+
+  const runAuditedToolCall = async (call, activeTools, approval) => {
+    const context = { ...auditContext(), server: toolServer(call.function.name) };
+    const startedAt = Date.now();
+    const result = await runToolCall(call, activeTools);
+    recordToolAudit(call, { ...context, ...approval, startedAt, durationMs: Date.now() - startedAt, result });
+    return result;
+  };
+
+  // Run the calls in batches of independent calls (see toolScheduler), at most
+  // toolConcurrency at a time, and record the results in the original call order.
+  // A failed call stops every batch after its own.
+  // approvals: call id -> { approval, prompted } from the prompt; other calls use approvalOf
+  const executeTools = async (calls, approvals = {}) => {
     const { tools: activeTools } = buildSystemPrompt();
 
-    for (const call of calls) {
-      if (call.function.name === 'getToolSchema') {
-        try {
-          const args = JSON.parse(call.function.arguments);
-          const toolName = args.tool_name || args.name || args.tool;
-          const tool = activeTools.find(t => t.function.name === toolName);
-
-          if (tool) {
-            pushMessage({
-              role: "tool",
-              tool_call_id: call.id,
-              name: call.function.name,
-              content: JSON.stringify(tool.function.parameters, null, 2),
-            });
-          } else {
-            throw new Error(`Tool '${toolName}' not found.`);
-          }
-        } catch (err) {
-          pushMessage({
+    const { stopped } = await runToolBatches(calls, call => runAuditedToolCall(
+      call, activeTools, approvals[call.id] || { approval: approvalOf(call.function.name) }
+    ), { isReadOnly: isReadOnlyTool, limit: toolConcurrency.value, onResult: pushMessage });
+
+    if (stopped) console.warn("Tool execution failed. Stopping subsequent tool calls.");
+    postChatToWorker();
+  };
+
+  // Execute one tool call and return its tool message (is_error marks a failure)
+  const runToolCall = async (call, activeTools) => {
+    if (getToolPolicy(call.function.name) === 'deny') {
+      return {
+        role: "tool",
+        tool_call_id: call.id,
+        name: call.function.name,
+        content: `Error: The tool '${call.function.name}' is blocked by a permission policy. Do not call it again; tell the user if you need it.`,
+        is_error: true
+      };
+    }
+
+    if (call.function.name === 'getToolSchema') {
+      try {
+        const args = JSON.parse(call.function.arguments);
+        const toolName = args.tool_name || args.name || args.tool;
+        const tool = activeTools.find(t => t.function.name === toolName);
+
+        if (tool) {
+          return {
             role: "tool",
             tool_call_id: call.id,
             name: call.function.name,
-            content: "Error: " + err.message,
-          });
+            content: JSON.stringify(tool.function.parameters, null, 2),
+          };
+        } else {
+          throw new Error(`Tool '${toolName}' not found.`);
         }
+      } catch (err) {
+        return {
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.function.name,
+          content: "Error: " + err.message,
+        };
       }
-      if (call.function.name === 'listTools') {
+    }
+
+    if (call.function.name === 'listTools') {
+      try {
+        // Parse arguments safely
+        let args = {};
         try {
-          // Parse arguments safely
-          let args = {};
-          try {
-            args = JSON.parse(call.function.arguments || '{}');
-          } catch (e) { /* ignore */ }
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch (e) { /* ignore */ }
 
-          const query = args.query;
-          const useRegex = args.use_regex;
-
-          let results = activeTools;
-
-          if (query) {
-            if (useRegex) {
-              try {
-                const regex = new RegExp(query, 'i');
-                results = activeTools.filter(t =>
-                  regex.test(t.function.name) ||
-                  regex.test(t.function.description || '')
-                );
-              } catch (e) {
-                throw new Error("Invalid Regex: " + e.message);
-              }
-            } else {
-              // Simple BM25-like search (Keyword matching + ranking)
-              const terms = query.toLowerCase().split(/\W+/).filter(t => t.length > 0);
-
-              if (terms.length > 0) {
-                results = activeTools.map(t => {
-                  const nameTokens = t.function.name.toLowerCase().split(/\W+/);
-                  const descTokens = (t.function.description || '').toLowerCase().split(/\W+/);
-                  const docTokens = [...nameTokens, ...descTokens];
-
-                  let score = 0;
-                  // Simplified scoring:
-                  // 1. Exact Name Match: High boost
-                  if (t.function.name.toLowerCase().includes(query.toLowerCase())) score += 10;
-
-                  for (const term of terms) {
-                    // TF (Term Frequency)
-                    const tf = docTokens.filter(dt => dt === term).length;
-                    if (tf > 0) {
-                      score += tf * 2; // Weight term matches
-                    }
-                    // Partial matches
-                    if (docTokens.some(dt => dt.includes(term))) {
-                      score += 0.5;
-                    }
+        const query = args.query;
+        const useRegex = args.use_regex;
+
+        let results = activeTools;
+
+        if (query) {
+          if (useRegex) {
+            try {
+              const regex = new RegExp(query, 'i');
+              results = activeTools.filter(t =>
+                regex.test(t.function.name) ||
+                regex.test(t.function.description || '')
+              );
+            } catch (e) {
+              throw new Error("Invalid Regex: " + e.message);
+            }
+          } else {
+            // Simple BM25-like search (Keyword matching + ranking)
+            const terms = query.toLowerCase().split(/\W+/).filter(t => t.length > 0);
+
+            if (terms.length > 0) {
+              results = activeTools.map(t => {
+                const nameTokens = t.function.name.toLowerCase().split(/\W+/);
+                const descTokens = (t.function.description || '').toLowerCase().split(/\W+/);
+                const docTokens = [...nameTokens, ...descTokens];
+
+                let score = 0;
+                // Simplified scoring:
+                // 1. Exact Name Match: High boost
+                if (t.function.name.toLowerCase().includes(query.toLowerCase())) score += 10;
+
+                for (const term of terms) {
+                  // TF (Term Frequency)
+                  const tf = docTokens.filter(dt => dt === term).length;
+                  if (tf > 0) {
+                    score += tf * 2; // Weight term matches
                   }
-                  return { tool: t, score };
-                })
-                  .filter(r => r.score > 0)
-                  .sort((a, b) => b.score - a.score)
-                  .map(r => r.tool);
-              }
+                  // Partial matches
+                  if (docTokens.some(dt => dt.includes(term))) {
+                    score += 0.5;
+                  }
+                }
+                return { tool: t, score };
+              })
+                .filter(r => r.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(r => r.tool);
             }
           }
+        }
 
-          // Format response
-          const response = results.map(t => ({
-            name: t.function.name,
-            description: t.function.description
-          }));
+        // Format response
+        const response = results.map(t => ({
+          name: t.function.name,
+          description: t.function.description
+        }));
 
-          const responseMessage = `AVAILABLE TOOLS (${response.length} found):\n\n` +
-            JSON.stringify(response, null, 2) +
-            `\n\nThese are the available tools. Only use them if the user's request requires it. ` +
-            `To learn how to use a tool, call getToolSchema with the tool name.`;
+        const responseMessage = `AVAILABLE TOOLS (${response.length} found):\n\n` +
+          JSON.stringify(response, null, 2) +
+          `\n\nThese are the available tools. Only use them if the user's request requires it. ` +
+          `To learn how to use a tool, call getToolSchema with the tool name.`;
 
-          pushMessage({
-            role: "tool",
-            tool_call_id: call.id,
-            name: call.function.name,
-            content: responseMessage
-          });
+        return {
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.function.name,
+          content: responseMessage
+        };
 
-        } catch (err) {
-          pushMessage({
-            role: "tool",
-            tool_call_id: call.id,
-            name: call.function.name,
-            is_error: true,
-            content: "Error: " + err.message
-          });
-        }
-        continue;
+      } catch (err) {
+        return {
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.function.name,
+          is_error: true,
+          content: "Error: " + err.message
+        };
       }
+    }
 
+    if (call.function.name === 'evalCode') {
+      try {
+        const args = JSON.parse(call.function.arguments);
+        const code = args.code;
 
-      if (call.function.name === 'evalCode') {
+        let result;
         try {
-          const args = JSON.parse(call.function.arguments);
-          const code = args.code;
-
-          let result;
-          try {
-            if (useSafeEval.value) {
-              // Use Worker
-              const safeResult = await evalSafe(code);
-              if (safeResult.success) {
-                result = safeResult.result;
-                // Maybe append logs if available?
-                if (safeResult.logs && safeResult.logs.length > 0) {
-                  // console.log("Worker Logs:", safeResult.logs);
-                  // We could treat logs as part of the output if we wanted
-                }
-              } else {
-                result = "Eval Error: " + safeResult.error;
+          if (useSafeEval.value) {
+            // Use Worker (a fresh one per call, so concurrent evals don't share state)
+            const safeResult = await evalSafe(code);
+            if (safeResult.success) {
+              result = safeResult.result;
+              // Maybe append logs if available?
+              if (safeResult.logs && safeResult.logs.length > 0) {
+                // console.log("Worker Logs:", safeResult.logs);
+                // We could treat logs as part of the output if we wanted
               }
             } else {
-              // Use new Function to allow 'return' statements and cleaner scope
-              const func = new Function(code);
-              result = func();
+              result = "Eval Error: " + safeResult.error;
             }
-          } catch (evalErr) {
-            result = "Eval Error: " + evalErr.message;
+          } else {
+            // Use new Function to allow 'return' statements and cleaner scope
+            const func = new Function(code);
+            result = func();
           }
-          console.log("evalCode result: ", result, args.code)
-
-          const isError = typeof result === 'string' && result.startsWith("Eval Error:");
+        } catch (evalErr) {
+          result = "Eval Error: " + evalErr.message;
+        }
+        console.log("evalCode result: ", result, args.code)
 
-          pushMessage({
-            role: "tool",
-            tool_call_id: call.id,
-            name: call.function.name,
-            content: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
-            is_error: isError // Internal flag
-          });
+        const isError = typeof result === 'string' && result.startsWith("Eval Error:");
 
-          if (isError) {
-            console.warn("Tool execution failed (evalCode). Stopping subsequent tool calls.");
-            break; // Stop subsequent calls
-          }
+        return {
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.function.name,
+          content: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+          is_error: isError // Internal flag
+        };
 
-        } catch (err) {
-          pushMessage({
-            role: "tool",
-            tool_call_id: call.id,
-            name: call.function.name,
-            content: "Error: " + err.message,
-            is_error: true
-          });
-          break; // Stop subsequent calls
-        }
-        continue;
+      } catch (err) {
+        return {
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.function.name,
+          content: "Error: " + err.message,
+          is_error: true
+        };
       }
+    }
 
-      const toolDef = activeTools.find(t => t.function.name === call.function.name);
-      const server = mcpServers.find(s =>
-        s.enabled &&
-        s.status === 'connected' &&
-        s.client.tools.some(t => t.function.name === call.function.name)
-      );
+    const toolDef = activeTools.find(t => t.function.name === call.function.name);
+    const server = mcpServers.find(s =>
+      s.enabled &&
+      s.status === 'connected' &&
+      s.client.tools.some(t => t.function.name === call.function.name)
+    );
 
-      if (server && toolDef) {
-        try {
-          const args = JSON.parse(call.function.arguments);
-
-          // Validate arguments against schema
-          let validationError = null;
-          if (toolDef.function.parameters) {
-            const validate = ajv.compile(toolDef.function.parameters);
-            const valid = validate(args);
-            if (!valid) {
-              validationError = ajv.errorsText(validate.errors);
-            }
-          }
+    if (!server || !toolDef) {
+      return {
+        role: "tool",
+        tool_call_id: call.id,
+        content: "Error: Tool not found on any connected server.",
+        name: call.function.name,
+        is_error: true
+      };
+    }
 
-          if (validationError) {
-            console.warn(`Validation failed for tool ${call.function.name} in executeTools (checking safety net):`, validationError);
-            console.log("Failed Args:", JSON.stringify(args, null, 2));
-            console.log("Failed Schema:", JSON.stringify(toolDef.function.parameters, null, 2));
+    try {
+      const args = JSON.parse(call.function.arguments);
 
-            const argsExample = generateExample(toolDef.function.parameters);
-            const fullExample = {
-              name: call.function.name,
-              arguments: argsExample
-            };
-            pushMessage({
-              role: "tool",
-              tool_call_id: call.id,
-              content: `Error: Invalid arguments: ${validationError}. \n\nExpected Schema:\n${JSON.stringify(toolDef.function.parameters, null, 2)}\n\nExpected Request Example Payload:\n${JSON.stringify(fullExample, null, 2)}\n\nPlease correct your input payload based on the schema and try again.`,
-              name: call.function.name,
-              is_error: true
-            });
-            break; // Stop subsequent calls
-          } else {
-            const result = await server.client.callTool(call.function.name, args);
-            // Check if result is explicitly an error string? 
-            // MCP tools might return text that *describes* an error but is technically a successful call.
-            // But if the server threw an exception, it's caught below.
-            // For now, assume successful execution unless it throws.
-
-            // Check if result content indicates error?
-            // "content": [{ "type": "text", "text": "..." }]
-            // We'll proceed.
-            pushMessage({
-              role: "tool",
-              tool_call_id: call.id,
-              content: result,
-              name: call.function.name
-            });
-          }
-        } catch (err) {
-          pushMessage({
-            role: "tool",
-            tool_call_id: call.id,
-            content: "Error: " + err.message,
-            name: call.function.name,
-            is_error: true
-          });
-          break; // Stop subsequent calls
+      // Validate arguments against schema
+      let validationError = null;
+      if (toolDef.function.parameters) {
+        const validate = compileSchema(toolDef.function.parameters);
+        const valid = validate(args);
+        if (!valid) {
+          validationError = ajv.errorsText(validate.errors);
         }
-      } else {
-        pushMessage({
+      }
+
+      if (validationError) {
+        console.warn(`Validation failed for tool ${call.function.name} in executeTools (checking safety net):`, validationError);
+        console.log("Failed Args:", JSON.stringify(args, null, 2));
+        console.log("Failed Schema:", JSON.stringify(toolDef.function.parameters, null, 2));
+
+        const argsExample = generateExample(toolDef.function.parameters);
+        const fullExample = {
+          name: call.function.name,
+          arguments: argsExample
+        };
+        return {
           role: "tool",
           tool_call_id: call.id,
-          content: "Error: Tool not found on any connected server.",
+          content: `Error: Invalid arguments: ${validationError}. \n\nExpected Schema:\n${JSON.stringify(toolDef.function.parameters, null, 2)}\n\nExpected Request Example Payload:\n${JSON.stringify(fullExample, null, 2)}\n\nPlease correct your input payload based on the schema and try again.`,
           name: call.function.name,
           is_error: true
-        });
-        break; // Stop subsequent calls
+        };
       }
+
+      const result = await server.client.callTool(call.function.name, args);
+      // MCP tools might return text that *describes* an error but is technically a successful call.
+      // If the server threw an exception, it's caught below.
+      return {
+        role: "tool",
+        tool_call_id: call.id,
+        content: result,
+        name: call.function.name
+      };
+    } catch (err) {
+      return {
+        role: "tool",
+        tool_call_id: call.id,
+        content: "Error: " + err.message,
+        name: call.function.name,
+        is_error: true
+      };
     }
-    postChatToWorker();
   };
 
-  const stop = () => {
-    if (worker.value) {
+  const interruptGeneration = (keepPartial) => {
+    if (!worker.value) return;
+
+    keepPartialOnStop = keepPartial;
+    isGenerating.value = false;
+    worker.value.postMessage({ type: "stop" });
+
+    // The worker answers with "stopped". If it doesn't, the engine is wedged
+    // and we fall back to a full reload.
+    clearTimeout(stopTimer);
+    stopTimer = setTimeout(() => {
+      stopTimer = null;
+      if (!worker.value) return;
+
+      const partial = streamingContent.value;
+      streamingContent.value = "";
+      if (keepPartialOnStop) {
+        if (partial) pushMessage({ role: "assistant", content: partial, stopped: true });
+        pushMessage({ role: "assistant", content: "_Generation did not stop in time. Reloading model to ensure a clean state..._" });
+      }
+
       isModelLoading.value = true;
-      isGenerating.value = false;
-      worker.value.postMessage({ type: "stop" });
-      pushMessage({ role: "assistant", content: "_Generation stopped. Reloading model to ensure a clean state..._" });
-    }
+      worker.value.postMessage({ type: "reload" });
+    }, STOP_TIMEOUT_MS);
+  };
+
+  // Soft-cancel the current reply, keeping any partial text.
+  // Queued follow-ups are held back until the user resumes the queue.
+  const stop = () => {
+    if (messageQueue.value.some(q => q.chatId === activeChatId.value)) isMessageQueuePaused.value = true;
+    interruptGeneration(true);
+  };
+
+  // --- Message Queue ---
+  // Messages sent while a turn (including its tool loop) is running wait here and
+  // go out one by one, in order, each time the model is idle again.
+
+  const isTurnIdle = () => !isGenerating.value && !pendingToolCalls.value && !isModelLoading.value;
+
+  const queueMessage = (text, images = []) => {
+    if (!text.trim() && images.length === 0) return;
+    messageQueue.value.push({ id: crypto.randomUUID(), chatId: activeChatId.value, text, images });
+  };
+
+  const updateQueuedMessage = (id, text) => {
+    const item = messageQueue.value.find(q => q.id === id);
+    if (item) item.text = text;
+  };
+
+  const removeQueuedMessage = (id) => {
+    messageQueue.value = messageQueue.value.filter(q => q.id !== id);
+    if (messageQueue.value.length === 0) isMessageQueuePaused.value = false;
   };
 
+  // Send the oldest message queued for the open chat
+  const sendNextQueued = async () => {
+    if (isMessageQueuePaused.value || !isTurnIdle() || !worker.value) return;
+    const next = messageQueue.value.find(q => q.chatId === activeChatId.value);
+    if (!next) return;
+
+    removeQueuedMessage(next.id);
+    if (!next.text.trim() && next.images.length === 0) return sendNextQueued();
+    await sendMessage(next.text, next.images);
+  };
+
+  const resumeMessageQueue = () => {
+    isMessageQueuePaused.value = false;
+    sendNextQueued();
+  };
+
+  // One watcher for the whole app, independent of the component that first calls useChat
+  if (!messageQueueScope) {
+    messageQueueScope = effectScope(true);
+    messageQueueScope.run(() => {
+      watch([isGenerating, pendingToolCalls, isModelLoading, activeChatId], () => {
+        if (isTurnIdle()) sendNextQueued();
+      });
+    });
+  }
+
+  // Delete every message of the active chat; the chat itself and its title stay
   const clearChat = async () => {
-    console.log("clearChat called");
+    const chat = chats.value.find(c => c.id === activeChatId.value);
+    if (!chat) return;
     try {
-      stop(); // Ensure generation is stopped
-      isGenerating.value = false; // Force reset state
+      if (isGenerating.value) interruptGeneration(false); // Stop the reply, drop partial text
       pendingToolCalls.value = null; // Clear pending approvals
+      messageQueue.value = messageQueue.value.filter(q => q.chatId !== chat.id);
       messages.value = [];
-      console.log("Clearing DB...");
-      await messageStore.clearMessages(); // WIPE DB
-      console.log("DB Cleared");
+      chatMessages.value = [];
+      await messageStore.clearChatMessages(chat.id);
+      await setActiveLeaf(null);
     } catch (e) {
       console.error("clearChat failed:", e);
     }
@@ -1306,8 +2701,6 @@ export function useChat() {
     // initModel(); // Wait for user to start
   });
 
-  const isChatStarted = ref(false);
-
   const startChat = async () => {
     isChatStarted.value = true;
     await initModel();
@@ -1318,28 +2711,83 @@ export function useChat() {
     switchModel, // Exported function
     availableModels, // Exported list
     selectedModel, // Exported ref
+    customModels,
+    saveCustomModel,
+    removeCustomModel,
     sendMessage,
     addServer,
     removeServer,
     toggleServer,
     approveToolCalls,
+    validateToolArguments,
+    editPendingToolCall,
     cancelToolCalls,
     stop, // Exported function
+    getBranchInfo,
+    comparison,
+    runComparison,
+    cancelComparison,
+    promoteComparison,
+    switchBranch,
+    regenerateMessage,
+    editMessage,
     clearChat, // Exported function
+    snippets,
+    saveSnippet,
+    deleteSnippet,
     messages,
+    streamingContent,
+    isCompacting,
+    compactedMessageIds,
+    getContextBudget,
+    setContextBudget,
+    supportsNativeTools,
+    responseSchema,
+    setResponseSchema,
+    documents,
+    embeddingStatus,
+    addDocuments,
+    removeDocument,
+    searchChats,
+    openSearchResult,
+    canSeeImages,
+    saveImages,
+    focusedMessageId,
+    backendSettings,
+    updateProjectBackend,
+    isNativeToolCalling,
+    setNativeToolCalling,
     mcpServers,
+    getActiveTools,
+    toolPolicies,
+    toolServer,
+    getToolPolicy,
+    setToolPolicy,
+    toolAnnotations,
+    annotationPolicy,
+    setAnnotationPolicy,
     isModelLoading,
     isGenerating,
+    isQueued,
+    messageQueue,
+    isMessageQueuePaused,
+    queueMessage,
+    updateQueuedMessage,
+    removeQueuedMessage,
+    resumeMessageQueue,
     loadProgress,
     loadText,
     pendingToolCalls,
     isChatStarted,
     startChat,
     customSystemPrompt,
+    generationSettings,
     useSafeEval,
+    toolConcurrency,
     saveToStorage,
     resetSystemPrompt,
     updateProjectSystemPrompt,
+    updateProjectGenerationSettings,
     // --- Projects & Chats ---
     projects,
     currentProjectId,
@@ -1358,6 +2806,7 @@ export function useChat() {
     createNewChat,
     deleteChat,
     renameChat,
+    regenerateChatTitle,
     // --- Encrypted Project State ---
     isUnlockModalOpen,
     unlockingProjectId,
@@ -72,6 +72,8 @@ export class McpClient {
       await this.client.connect(this.transport);
       const result = await this.client.listTools();
 
+      // annotations: the server's behavior hints (readOnlyHint, destructiveHint, ...),
+      // kept for approval decisions and stripped before tools are sent to the model
       this.tools = result.tools.map(t => ({
         type: "function",
         function: {
@@ -79,6 +81,7 @@ export class McpClient {
           description: t.description,
           parameters: t.inputSchema,
         },
+        annotations: t.annotations || {},
       }));
 
       this.isConnected = true;
@@ -1,4 +1,5 @@
 import { openDB } from 'idb';
+import { toIndexEntry } from './searchIndex';
 
 const DB_NAME = 'webllm_chat_db';
 const ENCRYPTED_DB_NAME = 'webllm_encrypted_db';
@@ -7,7 +8,15 @@ const PROJECT_STORE = 'projects';
 const CHAT_STORE = 'chats';
 const ENCRYPTED_PROJECT_STORE = 'encrypted_projects';
 const ENCRYPTED_CONTENT_STORE = 'encrypted_content';
-const VERSION = 2; // Incremented
+const CUSTOM_MODEL_STORE = 'custom_models';
+const DOCUMENT_STORE = 'documents';
+const CHUNK_STORE = 'document_chunks';
+const SEARCH_STORE = 'search_index';
+const ATTACHMENT_STORE = 'attachments';
+const SNIPPET_STORE = 'snippets';
+const TOOL_POLICY_STORE = 'tool_policies';
+const TOOL_AUDIT_STORE = 'tool_audit';
+const VERSION = 9; // Incremented
 const ENCRYPTED_VERSION = 1;
 
 export class MessageStore {
@@ -18,7 +27,7 @@ export class MessageStore {
 
     _initDb() {
         this.dbPromise = openDB(DB_NAME, VERSION, {
-            upgrade(db, oldVersion, newVersion, transaction) {
+            async upgrade(db, oldVersion, newVersion, transaction) {
                 // Version 1: Messages Store
                 if (!db.objectStoreNames.contains(STORE_NAME)) {
                     const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
@@ -46,6 +55,82 @@ export class MessageStore {
                         messageStore.createIndex('chatId', 'chatId');
                     }
                 }
+
+                // Version 3: User-defined MLC models
+                if (oldVersion < 3) {
+                    if (!db.objectStoreNames.contains(CUSTOM_MODEL_STORE)) {
+                        db.createObjectStore(CUSTOM_MODEL_STORE, { keyPath: 'model_id' });
+                    }
+                }
+
+                // Version 4: Project documents and their embedded chunks
+                if (oldVersion < 4) {
+                    if (!db.objectStoreNames.contains(DOCUMENT_STORE)) {
+                        const documentStore = db.createObjectStore(DOCUMENT_STORE, { keyPath: 'id' });
+                        documentStore.createIndex('projectId', 'projectId');
+                    }
+                    if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+                        const chunkStore = db.createObjectStore(CHUNK_STORE, { keyPath: 'id' });
+                        chunkStore.createIndex('projectId', 'projectId');
+                        chunkStore.createIndex('documentId', 'documentId');
+                    }
+                }
+
+                // Version 5: Search index over message text, filled in from existing messages
+                if (oldVersion < 5) {
+                    if (!db.objectStoreNames.contains(SEARCH_STORE)) {
+                        const searchStore = db.createObjectStore(SEARCH_STORE, { keyPath: 'messageId' });
+                        searchStore.createIndex('chatId', 'chatId');
+                        searchStore.createIndex('terms', 'terms', { multiEntry: true });
+                        searchStore.createIndex('embedded', 'embedded');
+                    }
+
+                    const searchStore = transaction.objectStore(SEARCH_STORE);
+                    const projectIds = new Map();
+                    let chatCursor = await transaction.objectStore(CHAT_STORE).openCursor();
+                    while (chatCursor) {
+                        projectIds.set(chatCursor.value.id, chatCursor.value.projectId);
+                        chatCursor = await chatCursor.continue();
+                    }
+                    let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+                    while (cursor) {
+                        const entry = toIndexEntry(cursor.value, projectIds.get(cursor.value.chatId));
+                        if (entry) await searchStore.put(entry);
+                        cursor = await cursor.continue();
+                    }
+                }
+
+                // Version 6: Image attachments (blobs referenced from message content)
+                if (oldVersion < 6) {
+                    if (!db.objectStoreNames.contains(ATTACHMENT_STORE)) {
+                        const attachmentStore = db.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+                        attachmentStore.createIndex('chatId', 'chatId');
+                    }
+                }
+
+                // Version 7: Per-project prompt snippets
+                if (oldVersion < 7) {
+                    if (!db.objectStoreNames.contains(SNIPPET_STORE)) {
+                        const snippetStore = db.createObjectStore(SNIPPET_STORE, { keyPath: 'id' });
+                        snippetStore.createIndex('projectId', 'projectId');
+                    }
+                }
+
+                // Version 8: Allow/ask/deny rules for tools (projectId is null for global rules)
+                if (oldVersion < 8) {
+                    if (!db.objectStoreNames.contains(TOOL_POLICY_STORE)) {
+                        const policyStore = db.createObjectStore(TOOL_POLICY_STORE, { keyPath: 'id' });
+                        policyStore.createIndex('projectId', 'projectId');
+                    }
+                }
+
+                // Version 9: Append-only audit log of tool executions (see services/toolAudit.js)
+                if (oldVersion < 9) {
+                    if (!db.objectStoreNames.contains(TOOL_AUDIT_STORE)) {
+                        const auditStore = db.createObjectStore(TOOL_AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+                        auditStore.createIndex('timestamp', 'timestamp');
+                    }
+                }
             },
             terminated() {
                 // Handle unexpected termination
@@ -93,12 +178,13 @@ export class MessageStore {
     }
 
     // --- Projects ---
-    async createProject(name, systemPrompt = null) {
+    async createProject(name, systemPrompt = null, generationSettings = null) {
         return this._run(async (db) => {
             const project = {
                 id: crypto.randomUUID(),
                 name,
                 systemPrompt: systemPrompt || null,
+                generationSettings: generationSettings || null,
                 createdAt: Date.now()
             };
             await db.put(PROJECT_STORE, project);
@@ -126,7 +212,7 @@ export class MessageStore {
             // However, getChats will try to get dbPromise again. 
             // Since we don't lock, it's fine.
 
-            const tx = db.transaction([PROJECT_STORE, CHAT_STORE, STORE_NAME], 'readwrite');
+            const tx = db.transaction([PROJECT_STORE, CHAT_STORE, STORE_NAME, DOCUMENT_STORE, CHUNK_STORE, SEARCH_STORE, ATTACHMENT_STORE, SNIPPET_STORE, TOOL_POLICY_STORE], 'readwrite');
             const projectStore = tx.objectStore(PROJECT_STORE);
             const chatStore = tx.objectStore(CHAT_STORE);
             const messageStore = tx.objectStore(STORE_NAME);
@@ -134,12 +220,22 @@ export class MessageStore {
             // Delete Project
             await projectStore.delete(id);
 
+            // Delete its Documents, their Chunks, its Snippets and its Tool Policies
+            for (const store of [DOCUMENT_STORE, CHUNK_STORE, SNIPPET_STORE, TOOL_POLICY_STORE].map(name => tx.objectStore(name))) {
+                const keys = await store.index('projectId').getAllKeys(id);
+                for (const key of keys) {
+                    await store.delete(key);
+                }
+            }
+
             // Delete Chats and their Messages
             for (const chat of chats) {
                 const messages = await messageStore.index('chatId').getAllKeys(chat.id);
                 for (const msgId of messages) {
                     await messageStore.delete(msgId);
                 }
+                await this._unindexChat(tx, chat.id);
+                await this._deleteChatAttachments(tx, chat.id);
                 await chatStore.delete(chat.id);
             }
 
@@ -178,25 +274,317 @@ export class MessageStore {
 
     async deleteChat(chatId) {
         return this._run(async (db) => {
-            await db.delete(CHAT_STORE, chatId);
+            const tx = db.transaction([CHAT_STORE, SEARCH_STORE, ATTACHMENT_STORE], 'readwrite');
+            await tx.objectStore(CHAT_STORE).delete(chatId);
+            await this._unindexChat(tx, chatId);
+            await this._deleteChatAttachments(tx, chatId);
+            await tx.done;
         });
     }
 
     // --- Messages ---
+    // Every write also updates the message's search index entry in the same transaction
     async addMessage(message) {
         return this._run(async (db) => {
             // Ensure message has an ID and timestamp
             if (!message.id) message.id = crypto.randomUUID();
             if (!message.timestamp) message.timestamp = Date.now();
 
-            await db.put(STORE_NAME, message);
+            await this._putIndexed(db, message);
             return message;
         });
     }
 
     async deleteMessage(messageId) {
         return this._run(async (db) => {
-            await db.delete(STORE_NAME, messageId);
+            const tx = db.transaction([STORE_NAME, SEARCH_STORE], 'readwrite');
+            await tx.objectStore(STORE_NAME).delete(messageId);
+            await tx.objectStore(SEARCH_STORE).delete(messageId);
+            await tx.done;
+        });
+    }
+
+    // Empty a chat but keep it (and its title) in the project
+    async clearChatMessages(chatId) {
+        return this._run(async (db) => {
+            const tx = db.transaction([STORE_NAME, SEARCH_STORE, ATTACHMENT_STORE], 'readwrite');
+            const messageStore = tx.objectStore(STORE_NAME);
+            const keys = await messageStore.index('chatId').getAllKeys(chatId);
+            for (const key of keys) {
+                await messageStore.delete(key);
+            }
+            await this._unindexChat(tx, chatId);
+            await this._deleteChatAttachments(tx, chatId);
+            await tx.done;
+        });
+    }
+
+    async _putIndexed(db, message) {
+        const tx = db.transaction([STORE_NAME, CHAT_STORE, SEARCH_STORE], 'readwrite');
+        await tx.objectStore(STORE_NAME).put(message);
+
+        const chat = message.chatId ? await tx.objectStore(CHAT_STORE).get(message.chatId) : null;
+        const entry = toIndexEntry(message, chat?.projectId);
+        const searchStore = tx.objectStore(SEARCH_STORE);
+        if (entry) await searchStore.put(entry);
+        else await searchStore.delete(message.id);
+        await tx.done;
+    }
+
+    async _unindexChat(tx, chatId) {
+        const searchStore = tx.objectStore(SEARCH_STORE);
+        const keys = await searchStore.index('chatId').getAllKeys(chatId);
+        for (const key of keys) {
+            await searchStore.delete(key);
+        }
+    }
+
+    async _deleteChatAttachments(tx, chatId) {
+        const attachmentStore = tx.objectStore(ATTACHMENT_STORE);
+        const keys = await attachmentStore.index('chatId').getAllKeys(chatId);
+        for (const key of keys) {
+            await attachmentStore.delete(key);
+        }
+    }
+
+    // --- Attachments ---
+    async saveAttachment(chatId, blob, name) {
+        return this._run(async (db) => {
+            const attachment = {
+                id: crypto.randomUUID(),
+                chatId,
+                name,
+                mimeType: blob.type,
+                blob,
+                createdAt: Date.now()
+            };
+            await db.put(ATTACHMENT_STORE, attachment);
+            return attachment;
+        });
+    }
+
+    async getAttachment(id) {
+        return this._run(async (db) => {
+            return db.get(ATTACHMENT_STORE, id);
+        });
+    }
+
+    // --- Search ---
+    // Entries whose words start with every query term (e.g. "pars" matches "parser")
+    async findSearchEntries(queryTerms) {
+        return this._run(async (db) => {
+            if (queryTerms.length === 0) return [];
+            const index = db.transaction(SEARCH_STORE, 'readonly').store.index('terms');
+
+            let matches = null;
+            for (const term of queryTerms) {
+                const keys = new Set(await index.getAllKeys(IDBKeyRange.bound(term, term + '\uffff')));
+                matches = matches ? new Set([...matches].filter(k => keys.has(k))) : keys;
+                if (matches.size === 0) return [];
+            }
+
+            const entries = await Promise.all([...matches].map(key => db.get(SEARCH_STORE, key)));
+            return entries.filter(Boolean);
+        });
+    }
+
+    // Entries added or edited since the last semantic search
+    async getUnembeddedSearchEntries(limit) {
+        return this._run(async (db) => {
+            return db.getAllFromIndex(SEARCH_STORE, 'embedded', 0, limit);
+        });
+    }
+
+    async getEmbeddedSearchEntries() {
+        return this._run(async (db) => {
+            return db.getAllFromIndex(SEARCH_STORE, 'embedded', 1);
+        });
+    }
+
+    // vectors: [{ messageId, vector }]
+    async saveSearchVectors(vectors) {
+        return this._run(async (db) => {
+            const tx = db.transaction(SEARCH_STORE, 'readwrite');
+            for (const { messageId, vector } of vectors) {
+                const entry = await tx.store.get(messageId);
+                if (entry) await tx.store.put({ ...entry, vector, embedded: 1 });
+            }
+            await tx.done;
+        });
+    }
+
+    // Aggregate the performance stats stored on assistant messages, per model
+    async getModelStats() {
+        return this._run(async (db) => {
+            const byModel = new Map();
+            let cursor = await db.transaction(STORE_NAME, 'readonly').store.openCursor();
+            while (cursor) {
+                const stats = cursor.value.stats;
+                if (stats?.model) {
+                    if (!byModel.has(stats.model)) {
+                        byModel.set(stats.model, { model: stats.model, replies: 0, promptTokens: 0, completionTokens: 0, sums: {}, counts: {} });
+                    }
+                    const entry = byModel.get(stats.model);
+                    entry.replies++;
+                    entry.promptTokens += stats.promptTokens || 0;
+                    entry.completionTokens += stats.completionTokens || 0;
+                    for (const key of ['prefillTokensPerSec', 'decodeTokensPerSec', 'timeToFirstTokenSec', 'latencySec']) {
+                        if (Number.isFinite(stats[key])) {
+                            entry.sums[key] = (entry.sums[key] || 0) + stats[key];
+                            entry.counts[key] = (entry.counts[key] || 0) + 1;
+                        }
+                    }
+                }
+                cursor = await cursor.continue();
+            }
+
+            return [...byModel.values()]
+                .map(({ sums, counts, ...entry }) => {
+                    const average = (key) => counts[key] ? sums[key] / counts[key] : null;
+                    return {
+                        ...entry,
+                        prefillTokensPerSec: average('prefillTokensPerSec'),
+                        decodeTokensPerSec: average('decodeTokensPerSec'),
+                        timeToFirstTokenSec: average('timeToFirstTokenSec'),
+                        latencySec: average('latencySec')
+                    };
+                })
+                .sort((a, b) => b.replies - a.replies);
+        });
+    }
+
+    // --- Custom Models ---
+    async getCustomModels() {
+        return this._run(async (db) => {
+            return db.getAll(CUSTOM_MODEL_STORE);
+        });
+    }
+
+    async saveCustomModel(model) {
+        return this._run(async (db) => {
+            if (!model.createdAt) model.createdAt = Date.now();
+            await db.put(CUSTOM_MODEL_STORE, model);
+            return model;
+        });
+    }
+
+    async deleteCustomModel(modelId) {
+        return this._run(async (db) => {
+            await db.delete(CUSTOM_MODEL_STORE, modelId);
+        });
+    }
+
+    // --- Documents ---
+    // A document is the metadata of an attached file; its text lives in chunks,
+    // each stored with the embedding used for retrieval.
+    async addDocument(document, chunks) {
+        return this._run(async (db) => {
+            if (!document.id) document.id = crypto.randomUUID();
+            if (!document.createdAt) document.createdAt = Date.now();
+
+            const tx = db.transaction([DOCUMENT_STORE, CHUNK_STORE], 'readwrite');
+            await tx.objectStore(DOCUMENT_STORE).put(document);
+            const chunkStore = tx.objectStore(CHUNK_STORE);
+            for (const chunk of chunks) {
+                await chunkStore.put({
+                    ...chunk,
+                    id: `${document.id}:${chunk.index}`,
+                    documentId: document.id,
+                    projectId: document.projectId
+                });
+            }
+            await tx.done;
+            return document;
+        });
+    }
+
+    async getDocuments(projectId) {
+        return this._run(async (db) => {
+            const documents = await db.getAllFromIndex(DOCUMENT_STORE, 'projectId', projectId);
+            return documents.sort((a, b) => a.createdAt - b.createdAt);
+        });
+    }
+
+    async getDocumentChunks(projectId) {
+        return this._run(async (db) => {
+            return db.getAllFromIndex(CHUNK_STORE, 'projectId', projectId);
+        });
+    }
+
+    async deleteDocument(documentId) {
+        return this._run(async (db) => {
+            const tx = db.transaction([DOCUMENT_STORE, CHUNK_STORE], 'readwrite');
+            await tx.objectStore(DOCUMENT_STORE).delete(documentId);
+            const chunkStore = tx.objectStore(CHUNK_STORE);
+            const keys = await chunkStore.index('documentId').getAllKeys(documentId);
+            for (const key of keys) {
+                await chunkStore.delete(key);
+            }
+            await tx.done;
+        });
+    }
+
+    // --- Snippets ---
+    // Reusable prompt text inserted from the composer's slash menu
+    async getSnippets(projectId) {
+        return this._run(async (db) => {
+            const snippets = await db.getAllFromIndex(SNIPPET_STORE, 'projectId', projectId);
+            return snippets.sort((a, b) => a.name.localeCompare(b.name));
+        });
+    }
+
+    async saveSnippet(snippet) {
+        return this._run(async (db) => {
+            if (!snippet.id) snippet.id = crypto.randomUUID();
+            if (!snippet.createdAt) snippet.createdAt = Date.now();
+            snippet.updatedAt = Date.now();
+            await db.put(SNIPPET_STORE, snippet);
+            return snippet;
+        });
+    }
+
+    async deleteSnippet(snippetId) {
+        return this._run(async (db) => {
+            await db.delete(SNIPPET_STORE, snippetId);
+        });
+    }
+
+    // --- Tool Policies ---
+    // Few enough to always load them all; see services/toolPolicy.js for how they apply
+    async getToolPolicies() {
+        return this._run(async (db) => {
+            return db.getAll(TOOL_POLICY_STORE);
+        });
+    }
+
+    async saveToolPolicy(policy) {
+        return this._run(async (db) => {
+            policy.updatedAt = Date.now();
+            await db.put(TOOL_POLICY_STORE, policy);
+            return policy;
+        });
+    }
+
+    async deleteToolPolicy(policyId) {
+        return this._run(async (db) => {
+            await db.delete(TOOL_POLICY_STORE, policyId);
+        });
+    }
+
+    // --- Tool Audit Log ---
+    // Append-only: entries are never updated, and deleting chats or projects leaves them
+    async appendAuditEntry(entry) {
+        return this._run(async (db) => {
+            entry.id = await db.add(TOOL_AUDIT_STORE, entry);
+            return entry;
+        });
+    }
+
+    // Newest first
+    async getAuditEntries() {
+        return this._run(async (db) => {
+            const entries = await db.getAllFromIndex(TOOL_AUDIT_STORE, 'timestamp');
+            return entries.reverse();
         });
     }
 
@@ -276,7 +664,7 @@ export class MessageStore {
 
     async updateMessage(message) {
         return this._run(async (db) => {
-            await db.put(STORE_NAME, message);
+            await this._putIndexed(db, message);
         });
     }
 
@@ -312,6 +700,7 @@ export class MessageStore {
     async clearMessages() {
         return this._run(async (db) => {
             await db.clear(STORE_NAME);
+            await db.clear(SEARCH_STORE);
         });
     }
 }
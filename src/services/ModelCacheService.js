@@ -0,0 +1,182 @@
+/**
+ * ModelCacheService - Inspects and manages the model weights WebLLM keeps in the Cache API
+ * Mirrors WebLLM's cache layout (scopes and URL keys) so pre-downloaded models are
+ * picked up by the engine without another download.
+ */
+
+const MODEL_SCOPE = 'webllm/model';
+const WASM_SCOPE = 'webllm/wasm';
+const CONFIG_SCOPE = 'webllm/config';
+const DOWNLOAD_CONCURRENCY = 4;
+
+class ModelCacheService {
+    /**
+     * Resolve the WebLLM model record for a model ID
+     * @param {string} modelId - Model ID
+     * @param {Array} customModels - User-defined model records
+     * @returns {Promise<object>} - Model record ({ model, model_id, model_lib, ... })
+     */
+    async getModelRecord(modelId, customModels = []) {
+        const custom = customModels.find(m => m.model_id === modelId);
+        if (custom) return custom;
+
+        // Loaded lazily so the main bundle doesn't include the engine
+        const { prebuiltAppConfig } = await import('@mlc-ai/web-llm');
+        const record = prebuiltAppConfig.model_list.find(m => m.model_id === modelId);
+        if (!record) throw new Error(`Model '${modelId}' not found`);
+        return record;
+    }
+
+    /**
+     * Check whether all weight shards of a model are cached
+     * @param {object} record - Model record
+     * @returns {Promise<boolean>}
+     */
+    async isCached(record) {
+        const baseUrl = this._modelUrl(record.model);
+        const cache = await caches.open(MODEL_SCOPE);
+        const index = await cache.match(new URL('tensor-cache.json', baseUrl).href);
+        if (!index) return false;
+
+        const { records } = await index.json();
+        for (const shard of records) {
+            if (!(await cache.match(new URL(shard.dataPath, baseUrl).href))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Total size of everything cached for a model (weights, tokenizer, config, wasm)
+     * @param {object} record - Model record
+     * @returns {Promise<number>} - Size in bytes
+     */
+    async getCachedSize(record) {
+        const baseUrl = this._modelUrl(record.model);
+        let total = 0;
+
+        for (const scope of [MODEL_SCOPE, CONFIG_SCOPE]) {
+            const cache = await caches.open(scope);
+            for (const request of await cache.keys()) {
+                if (request.url.startsWith(baseUrl)) {
+                    total += await this._responseSize(await cache.match(request));
+                }
+            }
+        }
+
+        const wasmCache = await caches.open(WASM_SCOPE);
+        const wasm = await wasmCache.match(record.model_lib);
+        if (wasm) total += await this._responseSize(wasm);
+
+        return total;
+    }
+
+    /**
+     * Browser storage usage and quota for this origin
+     * @returns {Promise<{usage: number, quota: number}|null>}
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage?.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Remove every cached file of a model
+     * @param {object} record - Model record
+     */
+    async deleteModel(record) {
+        const baseUrl = this._modelUrl(record.model);
+
+        for (const scope of [MODEL_SCOPE, CONFIG_SCOPE]) {
+            const cache = await caches.open(scope);
+            for (const request of await cache.keys()) {
+                if (request.url.startsWith(baseUrl)) await cache.delete(request);
+            }
+        }
+
+        const wasmCache = await caches.open(WASM_SCOPE);
+        await wasmCache.delete(record.model_lib);
+    }
+
+    /**
+     * Download a model into the cache without loading it onto the GPU
+     * @param {object} record - Model record
+     * @param {function} onProgress - Called with { loaded, total } in bytes
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async downloadModel(record, onProgress = () => { }, signal) {
+        const baseUrl = this._modelUrl(record.model);
+        const modelCache = await caches.open(MODEL_SCOPE);
+        const configCache = await caches.open(CONFIG_SCOPE);
+        const wasmCache = await caches.open(WASM_SCOPE);
+
+        // 1. Chat config (also tells us which tokenizer files exist)
+        const configUrl = new URL('mlc-chat-config.json', baseUrl).href;
+        await this._addToCache(configCache, configUrl, signal);
+        const config = await (await configCache.match(configUrl)).json();
+
+        // 2. Tokenizer (WebLLM prefers tokenizer.json over tokenizer.model)
+        const tokenizerFiles = config.tokenizer_files || [];
+        const tokenizerFile = tokenizerFiles.includes('tokenizer.json') ? 'tokenizer.json' : 'tokenizer.model';
+        if (tokenizerFiles.includes(tokenizerFile)) {
+            await this._addToCache(modelCache, new URL(tokenizerFile, baseUrl).href, signal);
+        }
+
+        // 3. Model library (WebLLM never caches wasm served from localhost)
+        if (record.model_lib.startsWith('http') && !record.model_lib.includes('localhost')) {
+            await this._addToCache(wasmCache, record.model_lib, signal);
+        }
+
+        // 4. Weight shards
+        const indexUrl = new URL('tensor-cache.json', baseUrl).href;
+        await this._addToCache(modelCache, indexUrl, signal);
+        const { records } = await (await modelCache.match(indexUrl)).json();
+
+        const total = records.reduce((sum, shard) => sum + shard.nbytes, 0);
+        let loaded = 0;
+        let next = 0;
+        onProgress({ loaded, total });
+
+        const worker = async () => {
+            while (next < records.length) {
+                const shard = records[next++];
+                await this._addToCache(modelCache, new URL(shard.dataPath, baseUrl).href, signal);
+                loaded += shard.nbytes;
+                onProgress({ loaded, total });
+            }
+        };
+        await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    }
+
+    /**
+     * Normalize a weights URL the same way WebLLM does
+     * (https://huggingface.co/USER/MODEL -> https://huggingface.co/USER/MODEL/resolve/main/)
+     * @private
+     */
+    _modelUrl(url) {
+        let modelUrl = url.endsWith('/') ? url : url + '/';
+        if (!modelUrl.match(/.+\/resolve\/.+\//)) modelUrl += 'resolve/main/';
+        return new URL(modelUrl, globalThis.location?.href).href;
+    }
+
+    /**
+     * @private
+     */
+    async _addToCache(cache, url, signal) {
+        const request = new Request(url, signal ? { signal } : undefined);
+        if (await cache.match(request)) return;
+        await cache.add(request);
+    }
+
+    /**
+     * @private
+     */
+    async _responseSize(response) {
+        if (!response) return 0;
+        const length = Number(response.headers.get('content-length'));
+        if (length > 0) return length;
+        return (await response.blob()).size;
+    }
+}
+
+export default new ModelCacheService();
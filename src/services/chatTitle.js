@@ -0,0 +1,53 @@
+/**
+ * chatTitle - Helpers for naming chats
+ * A chat first gets the start of its first message as title; after the first reply the
+ * loaded model is asked for a proper one. chat.titleSource records where the title came
+ * from ("auto", "generated" or "user") so a hand-typed title is never replaced.
+ */
+
+export const TITLE_MAX_CHARS = 60;
+const TRANSCRIPT_MESSAGE_CHARS = 600; // Per-message cap in the transcript sent for naming
+
+export const TITLE_PROMPT = `You name conversations. Reply with a short, specific title for the conversation below: at most 6 words, no quotes, no trailing punctuation. Reply with the title only.`;
+
+/**
+ * Fallback title: the start of the first message
+ * @param {string} text
+ * @param {number} [length=30]
+ * @returns {string}
+ */
+export const truncateTitle = (text, length = 30) => {
+    const flat = (text || "").replace(/\s+/g, " ").trim();
+    return flat.slice(0, length) + (flat.length > length ? "..." : "");
+};
+
+/**
+ * The opening of a conversation as plain text for the naming request
+ * @param {Array<{role: string, content: string}>} messages - Text-only messages
+ * @param {number} [limit=4] - Number of user/assistant messages to include
+ * @returns {string}
+ */
+export const buildTitleTranscript = (messages, limit = 4) => {
+    return messages
+        .filter(m => (m.role === "user" || m.role === "assistant") && m.content)
+        .slice(0, limit)
+        .map(m => `${m.role.toUpperCase()}: ${m.content.slice(0, TRANSCRIPT_MESSAGE_CHARS)}`)
+        .join("\n\n");
+};
+
+/**
+ * Tidy a model-written title: first line only, without "Title:", quotes, markdown or a final period
+ * @param {string|null} text - Raw model output
+ * @returns {string|null} - null when nothing usable is left
+ */
+export const cleanTitle = (text) => {
+    let title = (text || "").trim().split("\n")[0];
+    title = title
+        .replace(/^(chat\s+)?title\s*:\s*/i, "")
+        .replace(/^[#*_\s]+|[*_\s]+$/g, "")
+        .replace(/^["'“”‘’`]+/, "")
+        .replace(/["'“”‘’`.!,;:]+$/, "")
+        .trim();
+    if (!title) return null;
+    return title.length > TITLE_MAX_CHARS ? truncateTitle(title, TITLE_MAX_CHARS) : title;
+};
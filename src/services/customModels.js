@@ -0,0 +1,26 @@
+/**
+ * customModels - User-defined MLC builds (weights + model_lib URLs) kept in IndexedDB
+ */
+import { DEFAULT_TOOL_PARSER } from '../workers/toolParsers/index.js';
+
+/**
+ * The stored record for a custom model, from the form's fields
+ * @param {Object} entry
+ * @param {string} entry.model_id
+ * @param {string} [entry.name]
+ * @param {string} entry.model - Weights URL
+ * @param {string} entry.model_lib - Compiled model library URL
+ * @param {Object} [entry.overrides] - Chat config overrides (context window, ...)
+ * @param {string} [entry.toolParser]
+ * @param {boolean} [entry.vision] - Built as a vision model (loaded as a VLM, accepts images)
+ * @returns {Object}
+ */
+export const customModelEntry = (entry) => ({
+  model_id: entry.model_id.trim(),
+  name: (entry.name || "").trim(),
+  model: entry.model.trim(),
+  model_lib: entry.model_lib.trim(),
+  overrides: entry.overrides || {},
+  toolParser: entry.toolParser || DEFAULT_TOOL_PARSER,
+  vision: !!entry.vision
+});
@@ -0,0 +1,97 @@
+/**
+ * documentIndex - Chunking and retrieval helpers for project documents
+ * Attached files are split into overlapping chunks, each chunk is embedded once,
+ * and the chunks closest to the user's question are added to the system prompt.
+ */
+
+export const DOCUMENT_EXTENSIONS = ['.txt', '.md', '.markdown', '.json', '.csv'];
+
+/**
+ * Split text into overlapping chunks, preferring paragraph and line breaks as boundaries.
+ * The embedding models read at most 512 tokens, so chunks stay well under that.
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {number} [options.size=1200] - Target chunk length in characters
+ * @param {number} [options.overlap=200] - Characters repeated at the start of the next chunk
+ * @returns {string[]} - Non-empty chunks in document order
+ */
+export const chunkText = (text, { size = 1200, overlap = 200 } = {}) => {
+    const normalized = (text || "").replace(/\r\n?/g, "\n").trim();
+    if (!normalized) return [];
+
+    const chunks = [];
+    let start = 0;
+    while (start < normalized.length) {
+        let end = Math.min(start + size, normalized.length);
+        if (end < normalized.length) {
+            // Break at the last paragraph, line or sentence boundary in the second half of the window
+            const window = normalized.slice(start, end);
+            const floor = Math.floor(size / 2);
+            const boundary = [window.lastIndexOf("\n\n"), window.lastIndexOf("\n"), window.lastIndexOf(". ")]
+                .find(i => i >= floor);
+            if (boundary !== undefined) end = start + boundary + 1;
+        }
+
+        const chunk = normalized.slice(start, end).trim();
+        if (chunk) chunks.push(chunk);
+        if (end >= normalized.length) break;
+        start = Math.max(end - overlap, start + 1);
+    }
+    return chunks;
+};
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} - Between -1 and 1 (0 for zero vectors)
+ */
+export const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (!normA || !normB) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Rank stored chunks against a query embedding
+ * @param {ArrayLike<number>} queryVector - Embedding of the question
+ * @param {Array<{vector: ArrayLike<number>}>} chunks - Chunks with their embeddings
+ * @param {number} k - Maximum number of chunks to return
+ * @param {number} [minScore=0] - Drop chunks scoring below this
+ * @returns {Array} - The best chunks, highest score first, each with a `score`
+ */
+export const topChunks = (queryVector, chunks, k, minScore = 0) => {
+    return chunks
+        .map(chunk => ({ ...chunk, score: cosineSimilarity(queryVector, chunk.vector) }))
+        .filter(chunk => chunk.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+};
+
+/**
+ * Label used to cite a chunk, e.g. "notes.md#3" (chunks are numbered from 1)
+ * @param {{documentName: string, index: number}} chunk
+ * @returns {string}
+ */
+export const citationLabel = (chunk) => `${chunk.documentName}#${chunk.index + 1}`;
+
+/**
+ * Build the system prompt section that carries the retrieved chunks
+ * @param {Array} chunks - Result of topChunks, with documentName, index and text
+ * @returns {string} - Empty when nothing was retrieved
+ */
+export const formatContext = (chunks) => {
+    if (!chunks.length) return "";
+    const excerpts = chunks.map(chunk => `[${citationLabel(chunk)}]\n${chunk.text}`).join("\n\n");
+    return `DOCUMENT EXCERPTS:
+The excerpts below come from files the user attached to this project. Use them when they help answer the question, and cite the ones you use by their label in square brackets, e.g. [${citationLabel(chunks[0])}]. If they don't contain the answer, say so rather than guessing.
+
+${excerpts}`;
+};
@@ -0,0 +1,64 @@
+/**
+ * messageContent - Helpers for message content that may include images
+ * Text-only messages keep a plain string as content. A user message with images stores
+ * an array of parts: one { type: "text", text } and any number of
+ * { type: "image", attachmentId, mimeType, name }, where the image itself is a blob
+ * in MessageStore. Before sending, image parts become OpenAI-style image_url parts.
+ */
+
+/**
+ * The text of a message's content
+ * @param {string|Array|null} content
+ * @returns {string}
+ */
+export const contentText = (content) => {
+    if (Array.isArray(content)) {
+        return content.filter(p => p.type === "text").map(p => p.text).join("\n");
+    }
+    return content || "";
+};
+
+/**
+ * The image parts of a message's content
+ * @param {string|Array|null} content
+ * @returns {Array<{type: "image", attachmentId: string, mimeType: string, name: string}>}
+ */
+export const imageParts = (content) => {
+    return Array.isArray(content) ? content.filter(p => p.type === "image") : [];
+};
+
+/**
+ * Build the stored content for a message
+ * @param {string} text
+ * @param {Array} [images=[]] - Image parts
+ * @returns {string|Array} - The text itself when there are no images
+ */
+export const buildContent = (text, images = []) => {
+    if (images.length === 0) return text;
+    return [{ type: "text", text }, ...images];
+};
+
+/**
+ * Text-only form for models that can't see images: each image becomes a short marker
+ * @param {string|Array|null} content
+ * @returns {string}
+ */
+export const toTextContent = (content) => {
+    const markers = imageParts(content).map(p => `[Image attached: ${p.name || "image"} (not visible to this model)]`);
+    return [contentText(content), ...markers].filter(Boolean).join("\n");
+};
+
+/**
+ * OpenAI-style content parts for vision models
+ * @param {string|Array|null} content
+ * @param {Map<string, string>} urls - attachmentId -> data: URL
+ * @returns {Array} - [{ type: "text", text }, { type: "image_url", image_url: { url } }, ...]
+ */
+export const toContentParts = (content, urls) => {
+    const parts = [{ type: "text", text: contentText(content) }];
+    for (const image of imageParts(content)) {
+        const url = urls.get(image.attachmentId);
+        if (url) parts.push({ type: "image_url", image_url: { url } });
+    }
+    return parts;
+};
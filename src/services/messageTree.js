@@ -0,0 +1,73 @@
+/**
+ * messageTree - Helpers for chats stored as parent-pointer trees
+ * Every message has a parentId (null for the first message). Regenerating a reply or
+ * editing a user turn adds a sibling, and the chat shows one root-to-leaf path at a time.
+ */
+
+/**
+ * Link messages saved before branching existed: a message without a parentId
+ * follows the previous message of its chat.
+ * @param {Array} messages - All messages of a chat
+ * @returns {Array} - The same messages sorted by timestamp, every one with a parentId
+ */
+export const withParents = (messages) => {
+    const sorted = [...messages].sort((a, b) => a.timestamp - b.timestamp);
+    sorted.forEach((m, i) => {
+        if (m.parentId === undefined) m.parentId = i > 0 ? sorted[i - 1].id : null;
+    });
+    return sorted;
+};
+
+/**
+ * Group messages by parent, oldest child first
+ * @param {Array} messages - Messages with parentIds
+ * @returns {Map<string|null, Array>} - parentId -> children
+ */
+export const groupByParent = (messages) => {
+    const children = new Map();
+    for (const m of messages) {
+        const key = m.parentId ?? null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(m);
+    }
+    for (const list of children.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+    return children;
+};
+
+/**
+ * Follow the newest child from a message down to a leaf
+ * @param {Map} children - Result of groupByParent
+ * @param {string} messageId - Starting message
+ * @returns {string} - ID of the leaf
+ */
+export const latestLeaf = (children, messageId) => {
+    let id = messageId;
+    while (children.get(id)?.length) {
+        const list = children.get(id);
+        id = list[list.length - 1].id;
+    }
+    return id;
+};
+
+/**
+ * The root-to-leaf path ending at a message
+ * @param {Array} messages - Messages with parentIds
+ * @param {string|null} leafId - Last message of the path; defaults to the newest message
+ * @returns {Array} - Messages from the first turn to the leaf
+ */
+export const pathTo = (messages, leafId) => {
+    const byId = new Map(messages.map(m => [m.id, m]));
+    let current = byId.get(leafId);
+    if (!current) {
+        current = messages.reduce((newest, m) => (!newest || m.timestamp >= newest.timestamp ? m : newest), null);
+    }
+
+    const path = [];
+    const seen = new Set();
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current);
+        current = byId.get(current.parentId);
+    }
+    return path;
+};
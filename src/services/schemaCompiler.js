@@ -0,0 +1,26 @@
+/**
+ * schemaCompiler - Compile JSON Schemas once and keep compiling after edits
+ * Ajv remembers every schema with an $id it compiles and throws when a different
+ * object brings the same $id: an edited schema that kept its $id, or the same
+ * schema read back from IndexedDB. Validators are cached by the schema's text,
+ * and a schema with a known $id but new text replaces the old registration.
+ */
+
+/**
+ * @param {import('ajv').default} ajv
+ * @returns {(schema: Object) => Function} - Returns Ajv's validate function; throws for invalid schemas
+ */
+export const createSchemaCompiler = (ajv) => {
+  const validators = new Map(); // Serialized schema -> validate function
+
+  return (schema) => {
+    const key = JSON.stringify(schema);
+    let validate = validators.get(key);
+    if (!validate) {
+      if (typeof schema.$id === 'string') ajv.removeSchema(schema.$id);
+      validate = ajv.compile(schema);
+      validators.set(key, validate);
+    }
+    return validate;
+  };
+};
@@ -0,0 +1,93 @@
+/**
+ * searchIndex - Helpers for searching past chats
+ * MessageStore keeps one index entry per user/assistant message with its searchable
+ * text and keyword terms; embeddings for semantic search are added to entries lazily.
+ */
+
+import { contentText } from './messageContent.js';
+
+export const INDEXED_ROLES = new Set(['user', 'assistant']);
+
+const MIN_TERM_LENGTH = 2;
+// Embedding models read at most 512 tokens; longer messages are embedded by their beginning
+export const EMBEDDING_TEXT_CHARS = 1200;
+
+/**
+ * Lowercased, de-duplicated word terms of a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => {
+    const words = (text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    return [...new Set(words.filter(w => w.length >= MIN_TERM_LENGTH))];
+};
+
+/**
+ * Searchable text of a message: its content plus the names of tools it called
+ * @param {Object} message - Stored message
+ * @returns {string} - Empty for messages that aren't indexed
+ */
+export const messageText = (message) => {
+    if (!INDEXED_ROLES.has(message.role)) return "";
+    const toolNames = (message.tool_calls || []).map(tc => tc.function?.name).filter(Boolean);
+    return [contentText(message.content), ...toolNames].join(" ").trim();
+};
+
+/**
+ * Build the index entry stored for a message
+ * @param {Object} message - Stored message with id, chatId and timestamp
+ * @param {string|null} projectId - Project of the message's chat
+ * @returns {Object|null} - null when the message has nothing to search
+ */
+export const toIndexEntry = (message, projectId) => {
+    const text = messageText(message);
+    if (!text) return null;
+    return {
+        messageId: message.id,
+        chatId: message.chatId,
+        projectId: projectId ?? null,
+        role: message.role,
+        timestamp: message.timestamp,
+        text,
+        terms: tokenize(text),
+        embedded: 0, // 1 once `vector` is filled in (IndexedDB can't index booleans)
+        vector: null
+    };
+};
+
+/**
+ * Score an entry against the query terms. Every term must match a word of the
+ * entry, exactly or as a prefix; exact matches count double.
+ * @param {string[]} queryTerms - Result of tokenize(query)
+ * @param {{terms: string[]}} entry
+ * @returns {number} - 0 when some term doesn't match
+ */
+export const keywordScore = (queryTerms, entry) => {
+    if (queryTerms.length === 0) return 0;
+    const terms = new Set(entry.terms);
+    let score = 0;
+    for (const queryTerm of queryTerms) {
+        if (terms.has(queryTerm)) score += 2;
+        else if (entry.terms.some(t => t.startsWith(queryTerm))) score += 1;
+        else return 0;
+    }
+    return score;
+};
+
+/**
+ * A short excerpt of the text around the first matching term
+ * @param {string} text
+ * @param {string[]} queryTerms
+ * @param {number} [length=160] - Approximate excerpt length
+ * @returns {string}
+ */
+export const snippet = (text, queryTerms, length = 160) => {
+    const flat = text.replace(/\s+/g, " ").trim();
+    const lower = flat.toLowerCase();
+    const hits = queryTerms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+    const first = hits.length ? Math.min(...hits) : 0;
+
+    const start = Math.max(0, first - Math.floor(length / 3));
+    const end = Math.min(flat.length, start + length);
+    return `${start > 0 ? "…" : ""}${flat.slice(start, end)}${end < flat.length ? "…" : ""}`;
+};
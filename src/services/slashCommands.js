@@ -0,0 +1,96 @@
+/**
+ * slashCommands - Parsing and autocomplete for "/" in the composer
+ * Built-in commands act on the app; snippets are saved prompt text from the current
+ * project that replaces the input when picked, with {{variables}} filled in.
+ */
+
+export const SLASH_COMMANDS = [
+  { name: "new", description: "Start a new chat" },
+  { name: "model", args: "<model>", description: "Switch to another model" },
+  { name: "clear", description: "Delete every message in this chat" },
+  { name: "tools", description: "Show the tools the model can call" },
+];
+
+// Variables a snippet body can use
+export const SNIPPET_VARIABLES = ["selection", "date", "clipboard"];
+
+// Snippet names are typed after "/", so they can't contain spaces
+export const SNIPPET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const DESCRIPTION_CHARS = 80;
+
+/**
+ * Split composer text that starts with "/" into a command name and its arguments
+ * @param {string} text
+ * @returns {{name: string, args: string, hasArgs: boolean}|null} - hasArgs once a space follows the name
+ */
+export const parseSlash = (text) => {
+  const match = /^\/(\S*)(?:\s+([\s\S]*))?$/.exec(text || "");
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || "").trim(), hasArgs: match[2] !== undefined };
+};
+
+/**
+ * Menu entries for the text being typed: commands and snippets while the name is typed,
+ * models after "/model ". Names starting with the query come before names containing it.
+ * @param {string} text - Composer text
+ * @param {Object} sources
+ * @param {Array<{name: string, body: string}>} [sources.snippets]
+ * @param {Array<{id: string, name: string}>} [sources.models]
+ * @returns {Array<{kind: "command"|"snippet"|"model", name: string, label: string, description: string}>}
+ */
+export const slashSuggestions = (text, { snippets = [], models = [] } = {}) => {
+  const slash = parseSlash(text);
+  if (!slash) return [];
+
+  if (slash.hasArgs) {
+    if (slash.name !== "model") return [];
+    const query = slash.args.toLowerCase();
+    return models
+      .filter(m => m.id.toLowerCase().includes(query) || (m.name || "").toLowerCase().includes(query))
+      .map(m => ({ kind: "model", name: m.id, label: m.name || m.id, description: m.id }));
+  }
+
+  const entries = [
+    ...SLASH_COMMANDS.map(c => ({
+      kind: "command",
+      name: c.name,
+      label: c.args ? `/${c.name} ${c.args}` : `/${c.name}`,
+      description: c.description
+    })),
+    ...snippets.map(s => ({
+      kind: "snippet",
+      name: s.name,
+      label: `/${s.name}`,
+      description: s.body.replace(/\s+/g, " ").trim().slice(0, DESCRIPTION_CHARS)
+    }))
+  ];
+  const starts = entries.filter(e => e.name.toLowerCase().startsWith(slash.name));
+  const contains = entries.filter(e => !starts.includes(e) && e.name.toLowerCase().includes(slash.name));
+  return [...starts, ...contains];
+};
+
+/**
+ * Variables used in a snippet body (so the clipboard is only read when needed)
+ * @param {string} body
+ * @returns {Set<string>}
+ */
+export const snippetVariables = (body) => {
+  const found = new Set();
+  for (const [, name] of (body || "").matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    if (SNIPPET_VARIABLES.includes(name)) found.add(name);
+  }
+  return found;
+};
+
+/**
+ * Fill in a snippet's {{variables}}. Unknown variables are left as typed.
+ * @param {string} body
+ * @param {Object<string, string>} values - e.g. { selection, date, clipboard }
+ * @returns {string}
+ */
+export const expandSnippet = (body, values = {}) => {
+  return (body || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    return SNIPPET_VARIABLES.includes(name) ? (values[name] ?? "") : placeholder;
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * toolAnnotations - MCP tool annotations (readOnlyHint, destructiveHint, idempotentHint, openWorldHint)
+ * Servers describe their tools with these hints. A missing readOnlyHint means the tool
+ * may modify its environment, and a missing destructiveHint on such a tool means it may
+ * be destructive (the spec's defaults), unless assumeDestructive is turned off.
+ * Tools that aren't MCP tools (the built-in ones) have no annotations at all: null.
+ */
+
+export const DEFAULT_ANNOTATION_POLICY = {
+  autoApproveReadOnly: false, // Run tools marked read-only without asking, unless a rule says otherwise
+  confirmDestructive: true,   // Always ask before tools marked destructive, whatever the rules allow
+  assumeDestructive: true     // A tool that may modify its environment and has no destructiveHint counts as destructive
+};
+
+export const isReadOnlyHint = (annotations) => annotations?.readOnlyHint === true;
+
+// The spec ignores destructiveHint on read-only tools and defaults it to true on the others
+export const isDestructiveHint = (annotations, assumeDestructive = true) => {
+  if (!annotations || isReadOnlyHint(annotations)) return false;
+  if (annotations.destructiveHint === undefined) return assumeDestructive !== false;
+  return annotations.destructiveHint === true;
+};
+
+/**
+ * Badges describing a tool's behavior, for the approval dialog and the tools list
+ * @param {Object|null} [annotations]
+ * @param {boolean} [assumeDestructive=true] - See DEFAULT_ANNOTATION_POLICY
+ * @returns {Array<{key: string, label: string, title: string}>}
+ */
+export const annotationBadges = (annotations, assumeDestructive = true) => {
+  if (!annotations) return [];
+  const badges = [];
+  if (isReadOnlyHint(annotations)) {
+    badges.push({ key: "readOnly", label: "Read-only", title: "Does not modify its environment" });
+  }
+  if (isDestructiveHint(annotations, assumeDestructive)) {
+    badges.push(annotations.destructiveHint === true
+      ? { key: "destructive", label: "Destructive", title: "May delete or overwrite data" }
+      : { key: "destructive", label: "Destructive?", title: "The server doesn't say; MCP assumes it may delete or overwrite data" });
+  } else if (annotations.destructiveHint === false && !isReadOnlyHint(annotations)) {
+    badges.push({ key: "additive", label: "Additive", title: "Modifies its environment but only adds to it" });
+  }
+  if (annotations.idempotentHint === true && !isReadOnlyHint(annotations)) {
+    badges.push({ key: "idempotent", label: "Idempotent", title: "Repeating the call with the same arguments has no further effect" });
+  }
+  if (annotations.openWorldHint === true) {
+    badges.push({ key: "openWorld", label: "Open world", title: "Talks to external systems such as the web" });
+  } else if (annotations.openWorldHint === false) {
+    badges.push({ key: "closedWorld", label: "Closed world", title: "Only works within its own domain" });
+  }
+  return badges;
+};
+
+/**
+ * Apply the annotation policy on top of the policy from the rules
+ * @param {"allow"|"ask"|"deny"} policy - From the rules (or the fallback when no rule matched)
+ * @param {boolean} hasRule - Whether a rule decided the policy
+ * @param {Object|null} annotations
+ * @param {Object} [settings=DEFAULT_ANNOTATION_POLICY]
+ * @returns {"allow"|"ask"|"deny"}
+ */
+export const applyAnnotationPolicy = (policy, hasRule, annotations, settings = DEFAULT_ANNOTATION_POLICY) => {
+  if (policy === "deny") return policy;
+  if (settings.confirmDestructive && isDestructiveHint(annotations, settings.assumeDestructive)) return "ask";
+  if (!hasRule && settings.autoApproveReadOnly && isReadOnlyHint(annotations)) return "allow";
+  return policy;
+};
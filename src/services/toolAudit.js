@@ -0,0 +1,100 @@
+/**
+ * toolAudit - Entries of the tool audit log and the viewer's filters
+ * The log is append-only and lives apart from the chats, so deleting a chat or
+ * a project keeps the record of what ran.
+ */
+
+// How a call got to run (or not):
+//   policy   - a rule (or the default for read-only tools) allowed it
+//   session  - approved for the session, now or earlier
+//   once / project / always - approved in the prompt with that button
+//   denied   - refused by a deny rule
+//   declined - the user denied the prompt
+export const APPROVAL_MODES = ["policy", "session", "once", "project", "always", "denied", "declined"];
+
+export const REDACTED = "[redacted: password-protected project]";
+
+const encoder = new TextEncoder();
+
+/**
+ * Build an audit entry for one tool call
+ * @param {Object} call - The tool call as sent by the model (edited_by_user when the user changed it)
+ * @param {Object} details
+ * @param {string|null} details.projectId
+ * @param {string|null} details.chatId
+ * @param {string|null} details.server - MCP server URL, "builtin", or null if nothing provides the tool
+ * @param {string} details.approval - One of APPROVAL_MODES
+ * @param {boolean} [details.prompted=false] - Whether the user answered the approval prompt for it
+ * @param {number} details.startedAt - ms timestamp
+ * @param {number|null} [details.durationMs=null] - null when the call never ran
+ * @param {Object} [details.result] - The tool message returned for the call
+ * @param {string} [details.error] - Error text when there is no result message
+ * @param {boolean} [details.redact=false] - Leave out arguments and error text (password-protected projects)
+ * @returns {Object}
+ */
+export const buildAuditEntry = (call, details) => {
+  const { projectId = null, chatId = null, server = null, approval, prompted = false,
+    startedAt, durationMs = null, result, error, redact = false } = details;
+
+  const content = typeof result?.content === 'string' ? result.content : "";
+  const failed = !!error || !!result?.is_error;
+  const errorText = error || (result?.is_error ? content : null);
+
+  return {
+    timestamp: startedAt,
+    projectId,
+    chatId,
+    callId: call.id || null,
+    server,
+    tool: call.function.name,
+    arguments: redact ? REDACTED : call.function.arguments,
+    edited: !!call.edited_by_user,
+    approval,
+    prompted,
+    durationMs,
+    resultSize: result && !failed ? encoder.encode(content).length : null,
+    error: failed ? (redact ? REDACTED : errorText) : null
+  };
+};
+
+/**
+ * Filter entries for the viewer
+ * @param {Array<Object>} entries
+ * @param {Object} [filters]
+ * @param {string} [filters.tool] - Exact tool name
+ * @param {string} [filters.server] - Exact server URL or "builtin"
+ * @param {string} [filters.projectId]
+ * @param {string} [filters.approval] - One of APPROVAL_MODES
+ * @param {"ok"|"error"} [filters.status]
+ * @param {number} [filters.from] - Inclusive ms timestamp
+ * @param {number} [filters.to] - Exclusive ms timestamp
+ * @param {string} [filters.text] - Case-insensitive search in the tool name, arguments and error
+ * @returns {Array<Object>}
+ */
+export const filterAuditEntries = (entries, filters = {}) => {
+  const text = (filters.text || "").trim().toLowerCase();
+  return entries.filter(e => {
+    if (filters.tool && e.tool !== filters.tool) return false;
+    if (filters.server && e.server !== filters.server) return false;
+    if (filters.projectId && e.projectId !== filters.projectId) return false;
+    if (filters.approval && e.approval !== filters.approval) return false;
+    if (filters.status === "ok" && e.error) return false;
+    if (filters.status === "error" && !e.error) return false;
+    if (filters.from != null && e.timestamp < filters.from) return false;
+    if (filters.to != null && e.timestamp >= filters.to) return false;
+    if (text) {
+      const haystack = [e.tool, e.arguments, e.error].filter(Boolean).join("\n").toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Serialize entries as JSON Lines: one entry per line, with an ISO time next to the timestamp
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export const toJsonLines = (entries) => entries
+  .map(e => JSON.stringify({ time: new Date(e.timestamp).toISOString(), ...e }))
+  .join("\n") + (entries.length ? "\n" : "");
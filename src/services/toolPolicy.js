@@ -0,0 +1,52 @@
+/**
+ * toolPolicy - Allow / ask / deny rules for tool calls
+ * A rule targets a whole server or one tool on it, either globally (projectId null)
+ * or for one project. The most specific matching rule decides:
+ * project + tool, project + server, global + tool, global + server.
+ */
+
+export const POLICIES = ["allow", "ask", "deny"];
+
+// Server key of the tools implemented in the app itself (getToolSchema, listTools, evalCode)
+export const BUILTIN_SERVER = "builtin";
+
+/**
+ * Stable id of a rule, so saving a rule for the same target replaces the old one
+ * @param {{projectId: string|null, server: string, tool: string|null}} target
+ * @returns {string}
+ */
+export const policyId = ({ projectId, server, tool }) => `${projectId || "global"}|${server}|${tool || "*"}`;
+
+/**
+ * Find the rule that applies to a tool call
+ * @param {Array<{projectId: string|null, server: string, tool: string|null, policy: string}>} rules
+ * @param {{projectId: string|null, server: string, tool: string}} target
+ * @returns {Object|null} - The deciding rule, or null when no rule matches
+ */
+export const matchPolicy = (rules, { projectId, server, tool }) => {
+  const candidates = [
+    ...(projectId ? [{ projectId, tool }, { projectId, tool: null }] : []),
+    { projectId: null, tool },
+    { projectId: null, tool: null }
+  ];
+  for (const candidate of candidates) {
+    const id = policyId({ projectId: candidate.projectId, server, tool: candidate.tool });
+    const rule = rules.find(r => policyId(r) === id);
+    if (rule) return rule;
+  }
+  return null;
+};
+
+/**
+ * The policy for a tool call
+ * @param {Array<Object>} rules
+ * @param {{projectId: string|null, server: string, tool: string}} target
+ * @param {Object} [options]
+ * @param {string} [options.fallback="ask"] - Used when no rule matches
+ * @param {Function} [options.adjust] - (policy, hasRule) => policy, applied last (e.g. applyAnnotationPolicy)
+ * @returns {"allow"|"ask"|"deny"}
+ */
+export const resolvePolicy = (rules, target, { fallback = "ask", adjust = (policy) => policy } = {}) => {
+  const rule = matchPolicy(rules, target);
+  return adjust(rule?.policy || fallback, !!rule);
+};
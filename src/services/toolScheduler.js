@@ -0,0 +1,79 @@
+/**
+ * toolScheduler - Run a turn's tool calls concurrently where that is safe
+ * Calls are split into batches that run one after another; the calls inside a
+ * batch run in parallel. Consecutive calls to different tools share a batch.
+ * Two calls of the same tool are treated as dependent (e.g. two writes to one
+ * file) and run in order, unless both are read-only.
+ */
+
+export const DEFAULT_TOOL_CONCURRENCY = 4;
+
+/**
+ * Split calls, in order, into batches of calls that may run at the same time
+ * @param {Array<{function: {name: string}}>} calls
+ * @param {Function} isReadOnly - (toolName) => boolean
+ * @returns {Array<Array<Object>>} - Every call appears once, batches keep the original order
+ */
+export const planToolBatches = (calls, isReadOnly = () => false) => {
+  const batches = [];
+  let current = [];
+  for (const call of calls) {
+    const name = call.function.name;
+    const dependent = current.some(other =>
+      other.function.name === name && !(isReadOnly(name) && isReadOnly(other.function.name))
+    );
+    if (dependent) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(call);
+  }
+  if (current.length) batches.push(current);
+  return batches;
+};
+
+/**
+ * Run calls batch by batch (see planToolBatches). A failed call stops the
+ * batches after its own; the calls running beside it still finish.
+ * @param {Array<Object>} calls
+ * @param {Function} runCall - (call) => Promise<result>, result.is_error marks a failure
+ * @param {Object} [options]
+ * @param {Function} [options.isReadOnly] - (toolName) => boolean
+ * @param {number} [options.limit] - Calls in flight at once
+ * @param {Function} [options.onResult] - Called with each result, in call order, as its batch finishes
+ * @returns {Promise<{results: Array, stopped: boolean}>} - stopped: calls were skipped after a failure
+ */
+export const runToolBatches = async (calls, runCall, { isReadOnly = () => false, limit = DEFAULT_TOOL_CONCURRENCY, onResult = () => {} } = {}) => {
+  const results = [];
+  for (const batch of planToolBatches(calls, isReadOnly)) {
+    const batchResults = await runLimited(batch.map(call => () => runCall(call)), limit);
+    batchResults.forEach(result => {
+      results.push(result);
+      onResult(result);
+    });
+    if (batchResults.some(result => result.is_error)) {
+      return { results, stopped: results.length < calls.length };
+    }
+  }
+  return { results, stopped: false };
+};
+
+/**
+ * Run async tasks with at most `limit` in flight
+ * @param {Array<Function>} tasks - () => Promise
+ * @param {number} limit
+ * @returns {Promise<Array>} - Results in task order (a task that throws rejects the whole run)
+ */
+export const runLimited = async (tasks, limit = DEFAULT_TOOL_CONCURRENCY) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  const lanes = Math.max(1, Math.min(Math.floor(limit) || 1, tasks.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+};
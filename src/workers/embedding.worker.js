@@ -0,0 +1,34 @@
+import { CreateMLCEngine } from "@mlc-ai/web-llm";
+
+// Runs a WebLLM embedding model next to the chat worker, so indexing documents
+// never unloads the chat model.
+//   main -> worker: init { modelId }, embed { texts } (with requestId)
+//   worker -> main: progress, ready, result { data: number[][] }, error
+let engine = null;
+
+self.onmessage = async (e) => {
+  const { type, payload, requestId } = e.data;
+
+  try {
+    if (type === "init") {
+      engine = await CreateMLCEngine(payload.modelId, {
+        initProgressCallback: (p) => {
+          self.postMessage({ type: "progress", data: p });
+        },
+      });
+      self.postMessage({ type: "ready" });
+    }
+    else if (type === "embed") {
+      if (!engine) throw new Error("Embedding model not initialized");
+      // WebLLM splits the input into batches the model supports
+      const reply = await engine.embeddings.create({ input: payload.texts });
+      const vectors = reply.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+      self.postMessage({ type: "result", requestId, data: vectors });
+    }
+  } catch (err) {
+    console.error("Embedding worker error:", err);
+    self.postMessage({ type: "error", requestId, error: err.message });
+  }
+};
@@ -0,0 +1,116 @@
+import { handleRequest, loadedModelId, isGenerating } from "./llmEngine.js";
+
+// One engine shared by every open tab, so the model is only loaded once.
+// Tabs speak the same protocol as llm.worker.js. Requests that use the engine
+// (init, chat, summarize) run one at a time in arrival order; a tab whose request
+// has to wait gets { type: "queued", data: { position } }. "stop" only cancels the
+// sending tab's requests, and "detach" (sent when a tab closes) drops them entirely.
+//
+// Every tab shares the loaded model: when one tab loads a different model, all tabs
+// receive its progress and a "ready" naming the new model. A chat queued for the
+// previous model is refused with an error (see the chat handler in llmEngine.js).
+
+const clients = new Set(); // { post }
+const queue = [];          // { client, data }
+let running = null;        // The queued request being handled
+
+const broadcast = (message) => {
+  for (const client of clients) client.post(message);
+};
+
+// What a tab is told when its waiting request is cancelled
+const postCancelled = (client, data) => {
+  if (data.type === "chat") client.post({ type: "stopped", message: null });
+  else if (data.type === "summarize") client.post({ type: "result", requestId: data.requestId, data: null });
+};
+
+const announcePositions = () => {
+  queue.forEach((task, index) => {
+    if (task.data.type !== "init") {
+      task.client.post({ type: "queued", data: { position: index + 1 } });
+    }
+  });
+};
+
+const runQueue = async () => {
+  if (running) return;
+  while (queue.length) {
+    running = queue.shift();
+    const { client, data } = running;
+    try {
+      if (data.type === "init") {
+        if (loadedModelId() === data.payload.modelId) {
+          // Already loaded by another tab
+          client.post({ type: "ready", data: { modelId: data.payload.modelId } });
+        } else {
+          // Replies to init carry no requestId; every tab sees the new model loading
+          await handleRequest(data, (message) => (message.type === "error" ? client.post(message) : broadcast(message)));
+        }
+      } else {
+        await handleRequest(data, client.post);
+      }
+    } catch (err) {
+      client.post({ type: "error", requestId: data.requestId, error: err.message || "Unknown worker error" });
+    }
+    running = null;
+    announcePositions();
+  }
+};
+
+// Cancel a tab's requests: interrupt the one running, drop the ones waiting.
+// Returns whether there was anything to cancel.
+const cancelRequests = async (client, notify) => {
+  let cancelled = false;
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (queue[i].client === client) {
+      const [task] = queue.splice(i, 1);
+      if (notify) postCancelled(client, task.data);
+      cancelled = true;
+    }
+  }
+
+  // The interrupted request reports its partial reply itself
+  if (running?.client === client && isGenerating()) {
+    await handleRequest({ type: "stop" }, client.post);
+    cancelled = true;
+  }
+  return cancelled;
+};
+
+self.onconnect = (e) => {
+  const port = e.ports[0];
+  const client = { post: (message) => port.postMessage(message) };
+  clients.add(client);
+
+  port.onmessage = async (event) => {
+    const data = event.data;
+
+    if (data.type === "init" || data.type === "chat" || data.type === "summarize") {
+      queue.push({ client, data });
+      if (running) announcePositions();
+      runQueue();
+    }
+    else if (data.type === "stop") {
+      // Nothing of this tab was waiting or generating; confirm the stop right away
+      if (!(await cancelRequests(client, true))) client.post({ type: "stopped", message: null });
+    }
+    else if (data.type === "reload") {
+      // Only the tab whose request wedged the engine may reset it
+      if (running?.client === client) {
+        await handleRequest(data, broadcast);
+      } else {
+        client.post({ type: "ready", data: { modelId: loadedModelId() } });
+      }
+    }
+    else if (data.type === "detach") {
+      clients.delete(client);
+      await cancelRequests(client, false);
+      port.close();
+    }
+    else {
+      // count_tokens doesn't touch the GPU and can answer immediately
+      await handleRequest(data, client.post);
+    }
+  };
+  port.start();
+};
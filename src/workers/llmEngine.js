@@ -0,0 +1,483 @@
+import { CreateMLCEngine, prebuiltAppConfig, ModelType } from "@mlc-ai/web-llm";
+import { getToolParser, formatToolCalls } from "./toolParsers/index.js";
+
+// The WebLLM engine and its request handler. It runs inside llm.worker.js (one tab)
+// or llm.shared-worker.js (shared by every open tab); either way, handleRequest
+// gets one request at a time plus the function that delivers replies to its sender.
+
+let engine = null;
+let interrupted = false;
+let generating = false;
+let currentModelId = null;
+let windowOverrides = {}; // Context/sliding window settings the current model was loaded with
+
+// Helper: Report a soft-cancelled generation along with whatever text was produced
+const postStopped = (post, content) => {
+  post({
+    type: "stopped",
+    message: content ? { role: "assistant", content } : null
+  });
+};
+
+// Helper: Count tokens with the loaded model's tokenizer.
+// The tokenizer isn't part of WebLLM's public API, so fall back to an estimate.
+const countTokens = (text) => {
+  try {
+    const tokenizer = engine?.loadedModelIdToPipeline?.get(currentModelId)?.tokenizer;
+    if (tokenizer) return tokenizer.encode(text).length;
+  } catch (e) {
+    console.warn("Worker: Tokenizer unavailable, estimating token count.", e);
+  }
+  return Math.ceil(text.length / 4);
+};
+
+// Helper: Reduce WebLLM's usage report (stream_options.include_usage) to the
+// performance stats kept on each assistant message
+const toStats = (usage) => {
+  if (!usage) return undefined;
+  return {
+    model: currentModelId,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    prefillTokensPerSec: usage.extra?.prefill_tokens_per_s,
+    decodeTokensPerSec: usage.extra?.decode_tokens_per_s,
+    timeToFirstTokenSec: usage.extra?.time_to_first_token_s,
+    latencySec: usage.extra?.e2e_latency_s,
+  };
+};
+
+// Errors WebLLM throws when its native function-calling output isn't a JSON array of calls
+// (e.g. the model answered in prose or wrapped the call in tags). The text is still usable.
+// WebLLM doesn't export these classes, so match their names; ToolCallOutputMissingFieldsError
+// is named "JSONFieldError".
+const NATIVE_TOOL_ERRORS = new Set([
+  "ToolCallOutputParseError",
+  "ToolCallOutputInvalidTypeError",
+  "JSONFieldError",
+]);
+
+// Helper: The usage report of the round that just ran, read from the model's pipeline
+// the way WebLLM builds its usage chunk. For replies where the engine threw before
+// sending that chunk (rejected native tool calls).
+const roundUsage = (startedAt) => {
+  try {
+    const pipeline = engine?.loadedModelIdToPipeline?.get(currentModelId);
+    if (!pipeline) return null;
+    const completionTokens = pipeline.getCurRoundDecodingTotalTokens();
+    const promptTokens = pipeline.getCurRoundPrefillTotalTokens();
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      extra: {
+        e2e_latency_s: (Date.now() - startedAt) / 1000,
+        prefill_tokens_per_s: pipeline.getCurRoundPrefillTokensPerSec(),
+        decode_tokens_per_s: pipeline.getCurRoundDecodingTokensPerSec(),
+        time_to_first_token_s: pipeline.getCurRoundPrefillTotalTime(),
+      },
+    };
+  } catch (e) {
+    console.warn("Worker: Round stats unavailable.", e);
+    return null;
+  }
+};
+
+// Helper: Finish a reply by running the model's tool-call parser over the generated text
+const completeWithParser = (post, toolParser, text, stats) => {
+  const message = { role: "assistant", content: text, tool_calls: [], stats };
+  const parsed = toolParser.parse(text);
+  if (parsed) {
+    console.log(`Worker: Extracted tools with the ${toolParser.name} parser:`, parsed.calls);
+    message.tool_calls = formatToolCalls(parsed.calls);
+    // Keep only the prose around the tool call markup (null if it was just the call)
+    message.content = parsed.content;
+  }
+  post({ type: "complete", message });
+};
+
+// The model the engine holds, or null before the first init
+export const loadedModelId = () => engine ? currentModelId : null;
+
+// Whether a chat/summarize request is being generated right now
+export const isGenerating = () => generating;
+
+// Use an engine created elsewhere instead of loading one with "init" (tests pass a stub)
+export const attachEngine = (instance, modelId) => {
+  engine = instance;
+  currentModelId = modelId;
+  windowOverrides = {};
+};
+
+// Helper: WebLLM model record for a custom model from the init payload
+export const toModelRecord = (m) => ({
+  model: m.model,
+  model_id: m.model_id,
+  model_lib: m.model_lib,
+  overrides: m.overrides || {},
+  ...(m.vision ? { model_type: ModelType.VLM } : {}),
+});
+
+/**
+ * Handle one protocol message
+ * @param {Object} data - { type, payload, requestId }
+ * @param {Function} post - Sends a reply message to the requester
+ * @returns {Promise<void>} - Resolves once the request is finished (for chat: the reply is complete)
+ */
+export const handleRequest = async (data, post) => {
+  const { type, payload, requestId } = data;
+
+  try {
+    if (type === "init") {
+      currentModelId = payload.modelId; // Store the model ID
+
+      // User-defined models (weights + model_lib URLs) from the custom model registry
+      const customRecords = (payload.customModels || []).map(toModelRecord);
+      const customIds = new Set(customRecords.map(m => m.model_id));
+
+      // Clone the prebuilt config to avoid mutating global state if possible (though it's a module import)
+      // We manually construct the AppConfig to include overrides for the specific model
+      const myAppConfig = {
+        ...prebuiltAppConfig,
+        model_list: [
+          ...prebuiltAppConfig.model_list.filter(m => !customIds.has(m.model_id)),
+          ...customRecords
+        ].map(m => {
+          if (m.model_id === payload.modelId) {
+            // Vision models are compiled for a fixed context window; keep their own settings
+            windowOverrides = m.model_type === ModelType.VLM ? {} : {
+              context_window_size: -1,
+              sliding_window_size: 4096,
+              attention_sink_size: 4,
+            };
+            return {
+              ...m,
+              // Custom models keep the overrides their owner configured. WebLLM rejects a
+              // positive context window combined with a sliding window, so drop the latter.
+              overrides: customIds.has(m.model_id)
+                ? {
+                  ...windowOverrides,
+                  ...(m.overrides.context_window_size > 0 ? { sliding_window_size: -1 } : {}),
+                  ...m.overrides
+                }
+                : { ...(m.overrides || {}), ...windowOverrides }
+            };
+          }
+          return m;
+        })
+      };
+
+      // A shared engine switching models: free the old weights first
+      if (engine) {
+        const previous = engine;
+        engine = null;
+        await previous.unload();
+      }
+
+      engine = await CreateMLCEngine(payload.modelId, {
+        initProgressCallback: (p) => {
+          post({ type: "progress", data: p });
+        },
+        appConfig: myAppConfig,
+      });
+      post({ type: "ready", data: { modelId: currentModelId } });
+    }
+    else if (type === "stop") {
+      // Soft cancel: abort the running completion in place and keep the engine loaded.
+      // The chat handler notices the interrupt and reports the partial text.
+      if (engine && generating) {
+        interrupted = true;
+        engine.interruptGenerate();
+      } else {
+        postStopped(post, null);
+      }
+    }
+    else if (type === "reload") {
+      // Hard reset, used only when a soft stop did not take effect (engine wedged)
+      if (engine && currentModelId) {
+        interrupted = true;
+        console.log("Worker: Reloading engine to interrupt...");
+        await engine.reload(currentModelId, {
+          initProgressCallback: (p) => {
+            post({ type: "progress", data: p });
+          },
+          ...windowOverrides,
+        });
+        console.log("Worker: Engine reloaded and ready.");
+        post({ type: "ready", data: { modelId: currentModelId } });
+      }
+    }
+    else if (type === "count_tokens") {
+      const counts = payload.texts.map(countTokens);
+      post({ type: "result", requestId, data: counts });
+    }
+    else if (type === "summarize") {
+      // One-shot side request used to compact the chat history and to name chats
+      if (!engine) throw new Error("Engine not initialized");
+      interrupted = false;
+      generating = true;
+
+      try {
+        const reply = await engine.chat.completions.create({
+          stream: false,
+          temperature: 0,
+          messages: payload.messages,
+          max_tokens: payload.max_tokens,
+        });
+
+        if (interrupted) {
+          postStopped(post, null);
+          post({ type: "result", requestId, data: null });
+          return;
+        }
+        post({ type: "result", requestId, data: reply.choices[0]?.message?.content || null });
+      } finally {
+        generating = false;
+      }
+    }
+    else if (type === "chat") {
+      if (!engine) throw new Error("Engine not initialized");
+      // The tab picked the tool parser, native tools and context budget for the model it
+      // had loaded. In the shared engine, another tab may have switched models since.
+      if (payload.modelId && payload.modelId !== currentModelId) {
+        throw new Error(`Another tab switched the model to ${currentModelId} before this message ran. Send it again to use ${currentModelId}.`);
+      }
+      interrupted = false; // Reset for new generation
+      generating = true;
+      let fullContent = "";
+      let usage = null;
+      const startedAt = Date.now();
+      const toolParser = getToolParser(payload.toolParser);
+
+      try {
+        // MANUAL TOOL PARSING APPROACH (default)
+        // We intentionally OMIT the 'tools' parameter here to prevent the engine's 
+        // strict parser from throwing errors on malformed JSON (like single objects vs arrays).
+        // We will parse the raw text response ourselves.
+        // NATIVE MODE: for models WebLLM supports, pass the tools through and use the
+        // engine's tool_calls. The manual parser takes over when the engine rejects the output.
+        const chunks = await engine.chat.completions.create({
+          ...(payload.generation || {}),
+          stream: true,
+          messages: payload.messages,
+          stream_options: { include_usage: true },
+          ...(payload.nativeTools ? { tools: payload.tools } : {}),
+          // Structured output mode: constrain decoding to the chat's JSON Schema
+          ...(payload.responseFormat ? { response_format: payload.responseFormat } : {}),
+        });
+
+        let reply = null;
+        let nativeCalls = null;
+
+        for await (const chunk of chunks) {
+          // The last chunk carries token counts and timings (no choices)
+          if (chunk.usage) usage = chunk.usage;
+
+          // In native mode the engine reports the parsed calls in the final chunk
+          if (chunk.choices[0]?.delta?.tool_calls) {
+            nativeCalls = chunk.choices[0].delta.tool_calls;
+          }
+
+          if (!reply) {
+            reply = {
+              id: chunk.id,
+              choices: [{
+                message: {
+                  role: 'assistant',
+                  content: "",
+                  tool_calls: []
+                }
+              }]
+            };
+          }
+
+          const delta = chunk.choices[0]?.delta;
+          if (delta?.content) {
+            const content = delta.content;
+            reply.choices[0].message.content += content;
+            fullContent += content;
+
+            // Stream the accumulated text to the main thread so the UI can render
+            // a growing bubble. Sending the full text (not just the delta) keeps
+            // the view correct even if a message is dropped.
+            if (!interrupted) {
+              post({
+                type: "chunk",
+                data: { delta: content, content: fullContent }
+              });
+            }
+          }
+        }
+
+        if (interrupted) {
+          postStopped(post, fullContent);
+          return;
+        }
+
+        if (nativeCalls?.length) {
+          console.log("Worker: Engine returned native tool calls:", nativeCalls);
+          const message = reply.choices[0].message;
+          message.tool_calls = formatToolCalls(nativeCalls.map(tc => tc.function));
+          message.content = null; // The text was just the JSON call array
+          message.stats = toStats(usage);
+          post({ type: "complete", message: message });
+          return;
+        }
+
+        // Schema-constrained replies are data, not tool calls
+        if (payload.responseFormat) {
+          post({ type: "complete", message: { role: "assistant", content: fullContent, stats: toStats(usage) } });
+          return;
+        }
+
+        // NOW we run the model's tool-call parser on the full generated text
+        completeWithParser(post, toolParser, fullContent, toStats(usage));
+
+      } catch (err) {
+        if (interrupted) { // Don't recover, just hand back the partial text
+          postStopped(post, fullContent);
+          return;
+        }
+
+        // --- ATTEMPT 0: Native Function Calling Fallback ---
+        // The reply was fully streamed before the engine failed to parse it,
+        // so parse the same text by hand instead of generating again. The engine
+        // threw before its usage chunk, so the stats come from the pipeline.
+        if (payload.nativeTools && NATIVE_TOOL_ERRORS.has(err.name)) {
+          console.debug("Worker: Engine rejected native tool output, using the manual parser. Error:", err.message);
+          completeWithParser(post, toolParser, fullContent, toStats(usage || roundUsage(startedAt)));
+          return;
+        }
+
+        const errorString = err.toString();
+
+        // --- ATTEMPT 1: Tool Format Error Fallback ---
+        // Catch "expect array" error AND "invalid JSON" SyntaxErrors from the engine
+        if (errorString.includes("expect output of function calling to be an array") ||
+          errorString.includes("is not valid JSON") ||
+          errorString.includes("SyntaxError")) {
+          // Verify if the output is actually JSON before warning
+          // We will run the raw generation first, then check.
+          try {
+            const rawChunks = await engine.chat.completions.create({
+              ...(payload.generation || {}),
+              stream: true,
+              messages: payload.messages,
+              stream_options: { include_usage: true },
+              // Intentionally OMIT tools to get raw text
+            });
+
+            let fullText = "";
+            let retryUsage = null;
+            const assistantMessage = {
+              role: 'assistant',
+              content: "",
+              tool_calls: []
+            };
+
+            for await (const chunk of rawChunks) {
+              if (chunk.usage) retryUsage = chunk.usage;
+              const content = chunk.choices[0]?.delta?.content || "";
+              fullText += content;
+              assistantMessage.content += content;
+              if (content && !interrupted) {
+                post({
+                  type: "chunk",
+                  data: { delta: content, content: fullText }
+                });
+              }
+            }
+
+            if (interrupted) {
+              postStopped(post, fullText);
+              return;
+            }
+
+            // Check if the output is JSON
+            let isJson = false;
+            try {
+              const parsed = JSON.parse(fullText);
+              // If it parses and is an object or array, it's JSON.
+              if (typeof parsed === 'object' && parsed !== null) isJson = true;
+            } catch (e) {
+              // Not JSON
+            }
+
+            // If it is NOT JSON, it's likely just a conversational response that got flagged by strict parser.
+            // If it IS JSON, it might be a malformed tool call that the engine rejected.
+            if (isJson) {
+              const parsed = JSON.parse(fullText);
+              if (typeof parsed === 'object' && parsed.name && parsed.arguments) {
+                console.log("Worker: Recovered single tool call object (wrapped in array).");
+                const argsString = typeof parsed.arguments === 'string'
+                  ? parsed.arguments
+                  : JSON.stringify(parsed.arguments);
+
+                assistantMessage.tool_calls = [{
+                  id: 'call_' + Math.random().toString(36).substr(2, 9),
+                  function: {
+                    name: parsed.name,
+                    arguments: argsString
+                  },
+                  type: 'function'
+                }];
+                assistantMessage.content = null;
+              } else {
+                console.warn("Worker: Engine tool parsing failed, but raw output IS valid JSON. Likely a structure mismatch (expected array). Error:", errorString);
+              }
+            } else {
+              console.debug("Worker: Engine tool parsing failed. Output is text (not JSON), falling back to conversation. Error:", errorString);
+            }
+
+            // Attempt to extract tools from the full raw text if not already recovered
+            if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+              const extracted = toolParser.parse(fullText);
+              console.log("Fallback extracted tools:", extracted);
+              if (extracted) {
+                assistantMessage.tool_calls = formatToolCalls(extracted.calls);
+                assistantMessage.content = extracted.content;
+              }
+            }
+
+            assistantMessage.stats = toStats(retryUsage);
+            post({ type: "complete", message: assistantMessage });
+            return;
+
+          } catch (fallbackErr) {
+            console.error("Worker: Fallback detailed error:", fallbackErr);
+            // Verify if engine needs reload?
+          }
+        }
+
+        // --- ATTEMPT 2: Crash Recovery ---
+
+        // Match everything after "Got outputMessage:"
+        const match = errorString.match(/Got outputMessage:\s*([\s\S]*)/);
+
+        if (match && match[1]) {
+          const rawOutput = match[1].trim();
+          console.warn("Worker: Recovering from engine crash. Raw output:", rawOutput);
+
+          // Fallback: Just return the raw text. Tool recovery from crash is disabled.
+          post({
+            type: "complete",
+            message: {
+              role: "assistant",
+              content: rawOutput,
+              stats: toStats(roundUsage(startedAt))
+            }
+          });
+        } else {
+          throw err;
+        }
+      } finally {
+        generating = false;
+      }
+    }
+  } catch (err) {
+    post({
+      type: "error",
+      requestId,
+      error: err.message || "Unknown worker error"
+    });
+  }
+};
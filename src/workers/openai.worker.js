@@ -0,0 +1,246 @@
+import { getToolParser, formatToolCalls } from "./toolParsers/index.js";
+
+// Speaks the same message protocol as llm.worker.js (init / chat / stop / reload /
+// count_tokens / summarize) against an OpenAI-compatible /v1/chat/completions
+// endpoint, e.g. a local llama.cpp or Ollama server. Used when WebGPU is unavailable
+// or a project is configured to run on a server.
+
+let config = null;        // { baseUrl, apiKey, model }
+let controller = null;    // AbortController of the running request
+
+// Helper: Report a soft-cancelled generation along with whatever text was produced
+const postStopped = (content) => {
+  self.postMessage({
+    type: "stopped",
+    message: content ? { role: "assistant", content } : null
+  });
+};
+
+const endpoint = (path) => config.baseUrl.replace(/\/+$/, "") + path;
+
+const headers = () => ({
+  "Content-Type": "application/json",
+  ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+});
+
+// Helper: Surface the server's error body instead of a bare status code
+const checkResponse = async (response) => {
+  if (response.ok) return;
+  let detail = "";
+  try {
+    const body = await response.json();
+    detail = body.error?.message || body.error || JSON.stringify(body);
+  } catch (e) {
+    detail = response.statusText;
+  }
+  throw new Error(`Server responded with ${response.status}: ${detail}`);
+};
+
+// Helper: Servers report token counts only, so timings are measured here (and include
+// network latency). Same shape as the stats llm.worker.js attaches.
+const toStats = (usage, startedAt, firstTokenAt) => {
+  if (!usage) return undefined;
+  const finishedAt = Date.now();
+  const prefillSec = firstTokenAt ? (firstTokenAt - startedAt) / 1000 : null;
+  const decodeSec = firstTokenAt ? (finishedAt - firstTokenAt) / 1000 : null;
+  return {
+    model: config.model,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    prefillTokensPerSec: prefillSec ? usage.prompt_tokens / prefillSec : undefined,
+    decodeTokensPerSec: decodeSec ? usage.completion_tokens / decodeSec : undefined,
+    timeToFirstTokenSec: prefillSec ?? undefined,
+    latencySec: (finishedAt - startedAt) / 1000,
+  };
+};
+
+// WebLLM takes { type: "json_object", schema: "<string>" }; OpenAI servers expect json_schema
+const toResponseFormat = (format) => {
+  if (!format) return {};
+  return {
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: "response", schema: JSON.parse(format.schema) }
+    }
+  };
+};
+
+// Helper: Yield the parsed JSON of each `data:` line of a server-sent event stream
+async function* readEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    const lines = buffer.split(/\r\n|\r|\n/); // SSE lines may end in CRLF, LF or CR
+    // The last line may be incomplete, unless the server closed the stream right after it
+    buffer = done ? "" : lines.pop();
+    for (const line of lines) {
+      const match = line.match(/^data:\s*(.*)$/);
+      if (!match || !match[1].trim()) continue; // Comments, event names, keep-alives
+      if (match[1].trim() === "[DONE]") return;
+      yield JSON.parse(match[1]);
+    }
+    if (done) return;
+  }
+}
+
+self.onmessage = async (e) => {
+  const { type, payload, requestId } = e.data;
+
+  try {
+    if (type === "init") {
+      config = {
+        baseUrl: payload.backend.baseUrl,
+        apiKey: payload.backend.apiKey,
+        model: payload.backend.model
+      };
+      self.postMessage({ type: "progress", data: { progress: 0.5, text: `Connecting to ${config.baseUrl}...` } });
+
+      // Best effort: servers without /models (or behind CORS rules for it) can still chat
+      try {
+        const response = await fetch(endpoint("/models"), { headers: headers() });
+        await checkResponse(response);
+      } catch (err) {
+        console.warn("OpenAI Worker: Could not list models, continuing anyway.", err);
+      }
+
+      self.postMessage({ type: "progress", data: { progress: 1, text: "Connected" } });
+      self.postMessage({ type: "ready" });
+    }
+    else if (type === "stop") {
+      if (controller) {
+        controller.abort();
+      } else {
+        postStopped(null);
+      }
+    }
+    else if (type === "reload") {
+      // Nothing to reload on a server; just drop the running request
+      controller?.abort();
+      controller = null;
+      self.postMessage({ type: "ready" });
+    }
+    else if (type === "count_tokens") {
+      // The server's tokenizer isn't reachable through the OpenAI API
+      const counts = payload.texts.map(text => Math.ceil(text.length / 4));
+      self.postMessage({ type: "result", requestId, data: counts });
+    }
+    else if (type === "summarize") {
+      if (!config) throw new Error("Backend not initialized");
+      controller = new AbortController();
+      try {
+        const response = await fetch(endpoint("/chat/completions"), {
+          method: "POST",
+          headers: headers(),
+          signal: controller.signal,
+          body: JSON.stringify({
+            model: config.model,
+            stream: false,
+            temperature: 0,
+            messages: payload.messages,
+            max_tokens: payload.max_tokens
+          })
+        });
+        await checkResponse(response);
+        const reply = await response.json();
+        self.postMessage({ type: "result", requestId, data: reply.choices?.[0]?.message?.content || null });
+      } catch (err) {
+        if (err.name !== "AbortError") throw err;
+        postStopped(null);
+        self.postMessage({ type: "result", requestId, data: null });
+      } finally {
+        controller = null;
+      }
+    }
+    else if (type === "chat") {
+      if (!config) throw new Error("Backend not initialized");
+      controller = new AbortController();
+      const toolParser = getToolParser(payload.toolParser);
+      let fullContent = "";
+      const nativeCalls = []; // Streamed tool call fragments, by index
+      const startedAt = Date.now();
+      let firstTokenAt = null;
+      let usage = null;
+
+      try {
+        const response = await fetch(endpoint("/chat/completions"), {
+          method: "POST",
+          headers: headers(),
+          signal: controller.signal,
+          body: JSON.stringify({
+            ...(payload.generation || {}),
+            model: config.model,
+            stream: true,
+            stream_options: { include_usage: true },
+            messages: payload.messages,
+            ...(payload.nativeTools ? { tools: payload.tools } : {}),
+            ...toResponseFormat(payload.responseFormat)
+          })
+        });
+        await checkResponse(response);
+
+        for await (const chunk of readEvents(response)) {
+          if (chunk.usage) usage = chunk.usage;
+          const delta = chunk.choices?.[0]?.delta;
+          if (!delta) continue;
+          if (!firstTokenAt && (delta.content || delta.tool_calls)) firstTokenAt = Date.now();
+
+          if (delta.content) {
+            fullContent += delta.content;
+            self.postMessage({
+              type: "chunk",
+              data: { delta: delta.content, content: fullContent }
+            });
+          }
+
+          // Tool calls arrive in pieces: the name first, then argument fragments
+          for (const part of delta.tool_calls || []) {
+            const call = nativeCalls[part.index ?? 0] ||= { name: "", arguments: "" };
+            if (part.function?.name) call.name += part.function.name;
+            if (part.function?.arguments) call.arguments += part.function.arguments;
+          }
+        }
+
+        const message = {
+          role: "assistant",
+          content: fullContent,
+          tool_calls: [],
+          stats: toStats(usage, startedAt, firstTokenAt)
+        };
+
+        // Schema-constrained replies are data, not tool calls
+        if (nativeCalls.length && !payload.responseFormat) {
+          message.tool_calls = formatToolCalls(nativeCalls.filter(Boolean));
+          message.content = fullContent || null;
+        } else if (!payload.responseFormat) {
+          const parsed = toolParser.parse(fullContent);
+          if (parsed) {
+            console.log(`OpenAI Worker: Extracted tools with the ${toolParser.name} parser:`, parsed.calls);
+            message.tool_calls = formatToolCalls(parsed.calls);
+            message.content = parsed.content;
+          }
+        }
+
+        self.postMessage({ type: "complete", message });
+      } catch (err) {
+        if (err.name === "AbortError") {
+          postStopped(fullContent);
+          return;
+        }
+        throw err;
+      } finally {
+        controller = null;
+      }
+    }
+  } catch (err) {
+    self.postMessage({
+      type: "error",
+      requestId,
+      error: err.message || "Unknown worker error"
+    });
+  }
+};
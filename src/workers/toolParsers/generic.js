@@ -0,0 +1,61 @@
+import { scanJsonObjects } from './shared.js';
+
+// Generic heuristic parser for models without a native tool-call format.
+// Aggressively hunts for JSON inside a dirty string, so it can misfire on prose
+// that contains {"name": ...}. Prefer a family parser where one exists.
+const parse = (text) => {
+  // 1. Clean up potential Markdown wrappers
+  // Remove ```json ... ``` and ``` ... ```
+  const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+
+  // Like the original heuristic: if the reply starts with JSON, it's just the tool call
+  const trimmed = text.trim();
+  const content = trimmed.startsWith("{") || trimmed.startsWith("[") ? null : text;
+
+  const toCalls = (items) => items.map(tc => ({ name: tc.name, arguments: tc.arguments ?? {} }));
+
+  // 2. STRATEGY A: Look for a JSON Array [...]
+  const arrayMatch = cleanText.match(/\[([\s\S]*)\]/);
+  if (arrayMatch) {
+    try {
+      const parsed = JSON.parse(arrayMatch[0]);
+      if (Array.isArray(parsed) && parsed.length > 0 && parsed[0]?.name) {
+        return { content, calls: toCalls(parsed) };
+      }
+    } catch (e) { /* Continue */ }
+  }
+
+  // 3. STRATEGY B: Brace counting
+  // Handles single objects, nested objects, and multiple sequential objects
+  const candidates = [];
+  for (const candidate of scanJsonObjects(cleanText)) {
+    try {
+      const parsed = JSON.parse(candidate.text);
+      if (parsed.name) candidates.push(parsed);
+    } catch (e) {
+      // Failed to parse candidate, ignore
+    }
+  }
+  if (candidates.length > 0) {
+    return { content, calls: toCalls(candidates) };
+  }
+
+  // 4. STRATEGY C: XML fallback, e.g. <tool_call>name({...})</tool_call>
+  const xmlToolCallMatch = cleanText.match(/<(?:tool_code|tool_call)>(?<toolName>\w+)\((?<args>{[\s\S]*?})\)<\/(?:tool_code|tool_call)>/);
+  if (xmlToolCallMatch && xmlToolCallMatch.groups) {
+    try {
+      const parsedArgs = JSON.parse(xmlToolCallMatch.groups.args);
+      if (typeof parsedArgs === 'object') {
+        return { content, calls: [{ name: xmlToolCallMatch.groups.toolName, arguments: parsedArgs }] };
+      }
+    } catch (e) { /* Not a tool call */ }
+  }
+
+  return null;
+};
+
+export default {
+  name: 'generic',
+  label: 'Generic (JSON heuristics)',
+  parse
+};
@@ -0,0 +1,18 @@
+import { firstMatch, parseTagged, parseWholeMessage, parseFencedBlocks } from './shared.js';
+
+// Hermes 2 Pro / Hermes 3 emit calls as
+// <tool_call>
+// {"name": "tool", "arguments": {...}}
+// </tool_call>
+// Bare JSON replies (what our system prompt asks for) are accepted as well.
+const parse = (text) => firstMatch(text, [
+  (t) => parseTagged(t, '<tool_call>', '</tool_call>'),
+  parseWholeMessage,
+  parseFencedBlocks
+]);
+
+export default {
+  name: 'hermes',
+  label: 'Hermes (<tool_call> tags)',
+  parse
+};
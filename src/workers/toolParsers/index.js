@@ -0,0 +1,27 @@
+import generic from './generic.js';
+import hermes from './hermes.js';
+import llama3 from './llama3.js';
+import qwen from './qwen.js';
+
+// Registry of tool-call parsers, keyed by model family.
+// Each model entry in useChat picks one via its `toolParser` field.
+export const toolParsers = [hermes, llama3, qwen, generic];
+
+export const DEFAULT_TOOL_PARSER = 'generic';
+
+export const getToolParser = (name) => {
+  return toolParsers.find(p => p.name === name) || toolParsers.find(p => p.name === DEFAULT_TOOL_PARSER);
+};
+
+// Standardize parsed tool calls ({ name, arguments }) into the OpenAI/WebLLM message format
+export const formatToolCalls = (calls) => {
+  return calls.map(tc => ({
+    id: "call_" + Math.random().toString(36).slice(2),
+    type: "function",
+    function: {
+      name: tc.name,
+      // WebLLM requires arguments to be a string
+      arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments || {})
+    }
+  }));
+};
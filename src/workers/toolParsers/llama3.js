@@ -0,0 +1,54 @@
+import { firstMatch, parseCalls, parseWholeMessage, parseFencedBlocks, scanJsonObjects, toCall } from './shared.js';
+
+const END_TOKENS = /<\|(?:eom_id|eot_id)\|>/g;
+
+// <|python_tag|>{"name": "tool", "parameters": {...}}; {"name": ...}
+const parsePythonTag = (text) => {
+  const index = text.indexOf('<|python_tag|>');
+  if (index === -1) return null;
+
+  const body = text.slice(index + '<|python_tag|>'.length).replace(END_TOKENS, "");
+  const calls = [];
+  for (const obj of scanJsonObjects(body)) {
+    const parsed = parseCalls(obj.text);
+    if (parsed) calls.push(...parsed);
+  }
+
+  return calls.length > 0 ? { content: text.slice(0, index).trim() || null, calls } : null;
+};
+
+// Llama 3.1 custom tool format: <function=name>{...}</function>
+const parseFunctionTag = (text) => {
+  const calls = [];
+  let content = text;
+
+  for (const match of text.matchAll(/<function=([\w.-]+)>([\s\S]*?)<\/function>/g)) {
+    let args;
+    try {
+      args = JSON.parse(match[2].trim() || '{}');
+    } catch (e) {
+      continue;
+    }
+    const call = toCall({ name: match[1], parameters: args });
+    if (call) {
+      calls.push(call);
+      content = content.replace(match[0], "");
+    }
+  }
+
+  return calls.length > 0 ? { content: content.replace(END_TOKENS, "").trim() || null, calls } : null;
+};
+
+// Llama 3.x JSON-based tool calling: the reply is only the JSON object(s)
+const parse = (text) => firstMatch(text, [
+  parsePythonTag,
+  parseFunctionTag,
+  (t) => parseWholeMessage(t.replace(END_TOKENS, "")),
+  parseFencedBlocks
+]);
+
+export default {
+  name: 'llama3',
+  label: 'Llama 3.x (<|python_tag|> / JSON)',
+  parse
+};
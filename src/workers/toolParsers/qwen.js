@@ -0,0 +1,38 @@
+import { firstMatch, parseTagged, parseWholeMessage, parseFencedBlocks, toCall } from './shared.js';
+
+// Qwen-Agent style: ✿FUNCTION✿: name ✿ARGS✿: {...}
+const parseQwenAgent = (text) => {
+  const pattern = /✿FUNCTION✿:\s*([\w.-]+)\s*\n?✿ARGS✿:\s*([\s\S]*?)(?=✿FUNCTION✿|✿RESULT✿|✿RETURN✿|$)/g;
+  const calls = [];
+  let content = text;
+
+  for (const match of text.matchAll(pattern)) {
+    let args;
+    try {
+      args = JSON.parse(match[2].trim());
+    } catch (e) {
+      continue;
+    }
+    const call = toCall({ name: match[1], arguments: args });
+    if (call) {
+      calls.push(call);
+      content = content.replace(match[0], "");
+    }
+  }
+
+  return calls.length > 0 ? { content: content.trim() || null, calls } : null;
+};
+
+// Qwen 2.5 uses Hermes-style <tool_call> tags in its chat template
+const parse = (text) => firstMatch(text, [
+  (t) => parseTagged(t, '<tool_call>', '</tool_call>'),
+  parseQwenAgent,
+  parseWholeMessage,
+  parseFencedBlocks
+]);
+
+export default {
+  name: 'qwen',
+  label: 'Qwen (<tool_call> / ✿FUNCTION✿)',
+  parse
+};
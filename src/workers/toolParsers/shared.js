@@ -0,0 +1,137 @@
+// Shared helpers for tool-call parsers.
+// Parsers are pure: they take the raw model output and return
+// { content, calls } (calls = [{ name, arguments }]) or null when no tool call was found.
+
+// Normalize one candidate object into { name, arguments } or null.
+// Accepts "arguments" (OpenAI / Hermes) and "parameters" (Llama 3.x).
+export const toCall = (obj) => {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  if (typeof obj.name !== 'string' || !obj.name) return null;
+
+  let args = obj.arguments !== undefined ? obj.arguments : obj.parameters;
+  if (args === undefined) return null;
+
+  // Some models double-encode the arguments
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return null;
+
+  return { name: obj.name, arguments: args };
+};
+
+// Parse JSON holding one call or an array of calls. Every entry must be a call.
+export const parseCalls = (jsonText) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (e) {
+    return null;
+  }
+
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  if (items.length === 0) return null;
+
+  const calls = items.map(toCall);
+  return calls.every(Boolean) ? calls : null;
+};
+
+// Remove one surrounding ``` or ```json fence
+export const stripFence = (text) => {
+  const match = text.trim().match(/^```(?:json)?[ \t]*\n?([\s\S]*?)\n?```$/);
+  return match ? match[1].trim() : text.trim();
+};
+
+// Find top-level {...} objects in text, respecting JSON strings
+export const scanJsonObjects = (text) => {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let isEscaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (isEscaped) {
+        isEscaped = false;
+      } else if (char === '\\') {
+        isEscaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0 && start !== -1) {
+        objects.push({ text: text.substring(start, i + 1), start, end: i + 1 });
+        start = -1;
+      }
+    }
+  }
+
+  return objects;
+};
+
+// The whole message is a tool call: the format our system prompt asks for
+export const parseWholeMessage = (text) => {
+  const calls = parseCalls(stripFence(text));
+  return calls ? { content: null, calls } : null;
+};
+
+// ```json blocks holding tool calls, possibly surrounded by prose
+export const parseFencedBlocks = (text) => {
+  const calls = [];
+  let content = text;
+
+  for (const match of text.matchAll(/```(?:json)?[ \t]*\n([\s\S]*?)```/g)) {
+    const blockCalls = parseCalls(match[1].trim());
+    if (blockCalls) {
+      calls.push(...blockCalls);
+      content = content.replace(match[0], "");
+    }
+  }
+
+  return calls.length > 0 ? { content: content.trim() || null, calls } : null;
+};
+
+// Tag-delimited calls such as <tool_call>{...}</tool_call>.
+// A missing closing tag at the end of the text is tolerated (generation cut at EOS).
+export const parseTagged = (text, openTag, closeTag) => {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`${escape(openTag)}([\\s\\S]*?)(?:${escape(closeTag)}|$)`, 'g');
+
+  const calls = [];
+  let content = text;
+
+  for (const match of text.matchAll(pattern)) {
+    const blockCalls = parseCalls(stripFence(match[1]));
+    if (blockCalls) {
+      calls.push(...blockCalls);
+      content = content.replace(match[0], "");
+    }
+  }
+
+  return calls.length > 0 ? { content: content.trim() || null, calls } : null;
+};
+
+// Try strategies in order, returning the first match
+export const firstMatch = (text, strategies) => {
+  for (const strategy of strategies) {
+    const result = strategy(text);
+    if (result) return result;
+  }
+  return null;
+};
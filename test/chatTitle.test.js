@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { truncateTitle, buildTitleTranscript, cleanTitle, TITLE_MAX_CHARS } from '../src/services/chatTitle.js';
+
+test('truncateTitle keeps short text and cuts long text', () => {
+  assert.equal(truncateTitle("Hello there"), "Hello there");
+  assert.equal(truncateTitle("Can you help me with the   parser\nplease?"), "Can you help me with the parse...");
+  assert.equal(truncateTitle(""), "");
+});
+
+test('transcript includes the opening user and assistant messages only', () => {
+  const transcript = buildTitleTranscript([
+    { role: "user", content: "How do I parse CSV?" },
+    { role: "assistant", content: "" },
+    { role: "tool", content: "tool output" },
+    { role: "assistant", content: "Use a streaming parser." },
+    { role: "user", content: "Thanks" },
+    { role: "assistant", content: "You're welcome" },
+    { role: "user", content: "Not included" }
+  ]);
+
+  assert.equal(transcript,
+    "USER: How do I parse CSV?\n\nASSISTANT: Use a streaming parser.\n\nUSER: Thanks\n\nASSISTANT: You're welcome");
+});
+
+test('cleanTitle strips labels, quotes, markdown and trailing punctuation', () => {
+  assert.equal(cleanTitle('"Parsing CSV Files."'), "Parsing CSV Files");
+  assert.equal(cleanTitle("Title: Debugging WebGPU Errors"), "Debugging WebGPU Errors");
+  assert.equal(cleanTitle("**Vue Router Setup**\nThis conversation is about..."), "Vue Router Setup");
+  assert.equal(cleanTitle("# “Rust lifetimes”!"), "Rust lifetimes");
+});
+
+test('cleanTitle rejects empty output and caps long titles', () => {
+  assert.equal(cleanTitle(""), null);
+  assert.equal(cleanTitle(null), null);
+  assert.equal(cleanTitle('""'), null);
+  assert.ok(cleanTitle("word ".repeat(40)).length <= TITLE_MAX_CHARS + 3);
+});
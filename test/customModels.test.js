@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelType } from '@mlc-ai/web-llm';
+import { customModelEntry } from '../src/services/customModels.js';
+import { toModelRecord } from '../src/workers/llmEngine.js';
+
+const form = {
+  model_id: " my-vlm-q4f16_1 ",
+  name: "My VLM",
+  model: "https://example.com/weights/",
+  model_lib: "https://example.com/lib.wasm",
+  toolParser: "hermes"
+};
+
+// The init payload carries the stored records through a JSON round trip
+const initRecord = (entry) => toModelRecord(JSON.parse(JSON.stringify(customModelEntry(entry))));
+
+test('a custom vision model is loaded as a VLM', () => {
+  const entry = customModelEntry({ ...form, vision: true });
+  assert.equal(entry.vision, true);
+  assert.equal(entry.model_id, "my-vlm-q4f16_1");
+  assert.equal(initRecord({ ...form, vision: true }).model_type, ModelType.VLM);
+});
+
+test('other custom models are plain LLMs', () => {
+  assert.equal(customModelEntry(form).vision, false);
+  assert.equal(initRecord(form).model_type, undefined);
+});
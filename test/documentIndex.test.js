@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, cosineSimilarity, topChunks, citationLabel, formatContext } from '../src/services/documentIndex.js';
+
+test('short text is a single chunk', () => {
+  assert.deepEqual(chunkText("  Hello world.\r\n"), ["Hello world."]);
+  assert.deepEqual(chunkText(""), []);
+  assert.deepEqual(chunkText(null), []);
+});
+
+test('long text is split into overlapping chunks covering everything', () => {
+  const text = Array.from({ length: 40 }, (_, i) => `Line ${i} of the document.`).join("\n");
+  const chunks = chunkText(text, { size: 200, overlap: 50 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(c => c.length <= 200));
+  assert.ok(chunks[0].startsWith("Line 0"));
+  assert.ok(chunks[chunks.length - 1].endsWith("Line 39 of the document."));
+  // Consecutive chunks share some text
+  const tail = chunks[0].split("\n").pop();
+  assert.ok(chunks[1].includes(tail));
+});
+
+test('chunks break at line boundaries when possible', () => {
+  const text = "a".repeat(150) + "\n" + "b".repeat(150);
+  const [first] = chunkText(text, { size: 200, overlap: 0 });
+
+  assert.equal(first, "a".repeat(150));
+});
+
+test('text without boundaries is still chunked', () => {
+  const chunks = chunkText("x".repeat(500), { size: 200, overlap: 20 });
+
+  assert.equal(chunks[0].length, 200);
+  assert.ok(chunks.length >= 3);
+});
+
+test('cosine similarity', () => {
+  assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 0], [-2, 0]), -1);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('topChunks ranks by similarity and applies k and the score floor', () => {
+  const chunks = [
+    { id: 'far', vector: [0, 1] },
+    { id: 'close', vector: [1, 0.1] },
+    { id: 'exact', vector: new Float32Array([2, 0]) },
+    { id: 'opposite', vector: [-1, 0] }
+  ];
+
+  assert.deepEqual(topChunks([1, 0], chunks, 2).map(c => c.id), ['exact', 'close']);
+  assert.deepEqual(topChunks([1, 0], chunks, 10, 0.5).map(c => c.id), ['exact', 'close']);
+  assert.equal(topChunks([1, 0], chunks, 1)[0].score, 1);
+});
+
+test('context lists each excerpt under its citation label', () => {
+  const chunks = [
+    { documentName: 'notes.md', index: 0, text: 'First chunk' },
+    { documentName: 'data.csv', index: 4, text: 'a,b\n1,2' }
+  ];
+
+  assert.equal(citationLabel(chunks[1]), 'data.csv#5');
+  const context = formatContext(chunks);
+  assert.ok(context.includes('[notes.md#1]\nFirst chunk'));
+  assert.ok(context.includes('[data.csv#5]\na,b\n1,2'));
+  assert.equal(formatContext([]), '');
+});
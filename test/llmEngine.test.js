@@ -0,0 +1,116 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleRequest, attachEngine } from '../src/workers/llmEngine.js';
+
+// Runs the engine's chat handler against a stub in place of WebLLM's MLCEngine.
+// Each create() call takes the next scripted reply: chunks to stream, then
+// optionally an error, thrown the way WebLLM throws after the last content chunk.
+
+const MODEL = 'Hermes-3-Llama-3.1-8B-q4f16_1-MLC';
+
+const engineError = (name, message) => Object.assign(new Error(message), { name });
+
+const usage = { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25, extra: { decode_tokens_per_s: 10, e2e_latency_s: 1 } };
+
+let replies = [];
+const stubEngine = {
+  chat: {
+    completions: {
+      create: async () => {
+        const { chunks = [], error } = replies.shift();
+        return (async function* () {
+          for (const chunk of chunks) yield chunk;
+          if (error) throw error;
+        })();
+      }
+    }
+  },
+  // What roundUsage reads when the engine threw before its usage chunk
+  loadedModelIdToPipeline: new Map([[MODEL, {
+    getCurRoundDecodingTotalTokens: () => 7,
+    getCurRoundPrefillTotalTokens: () => 30,
+    getCurRoundPrefillTokensPerSec: () => 300,
+    getCurRoundDecodingTokensPerSec: () => 14,
+    getCurRoundPrefillTotalTime: () => 0.1
+  }]])
+};
+
+const text = (content) => ({ id: 'c', choices: [{ delta: { content } }] });
+
+const chat = async (payload) => {
+  const posted = [];
+  await handleRequest({ type: 'chat', payload: { messages: [], ...payload } }, (message) => posted.push(message));
+  return posted.find(m => m.type === 'complete' || m.type === 'error');
+};
+
+beforeEach(() => {
+  replies = [];
+  attachEngine(stubEngine, MODEL);
+});
+
+const hermesCall = '<tool_call>{"name": "listTools", "arguments": {}}</tool_call>';
+
+for (const [name, message] of [
+  ['ToolCallOutputParseError', `Internal error: error encountered when parsing outputMessage for function calling. Got outputMessage: ${hermesCall}`],
+  ['ToolCallOutputInvalidTypeError', 'Internal error: expect output of function calling to be an array'],
+  ['JSONFieldError', 'Expect generated tool call to have fields "`name`", "`arguments`", but got object: {}']
+]) {
+  test(`native mode falls back to the manual parser on ${name}`, async () => {
+    replies.push({ chunks: [text(hermesCall)], error: engineError(name, message) });
+
+    const result = await chat({ nativeTools: true, toolParser: 'hermes' });
+
+    assert.equal(result.type, 'complete');
+    assert.equal(result.message.tool_calls[0].function.name, 'listTools');
+    assert.equal(replies.length, 0, 'the reply is parsed, not generated again');
+    assert.equal(result.message.stats.completionTokens, 7);
+  });
+}
+
+test('other engine errors are reported', async () => {
+  replies.push({ chunks: [], error: engineError('Error', 'GPU device lost') });
+  const result = await chat({ nativeTools: true });
+  assert.equal(result.type, 'error');
+  assert.equal(result.error, 'GPU device lost');
+});
+
+test('plain replies carry the usage chunk as stats', async () => {
+  replies.push({ chunks: [text('Hello'), { id: 'c', choices: [], usage }] });
+  const result = await chat({});
+  assert.equal(result.message.content, 'Hello');
+  assert.equal(result.message.stats.model, MODEL);
+  assert.equal(result.message.stats.promptTokens, 20);
+});
+
+test('replies recovered from an engine crash carry stats', async () => {
+  replies.push({ chunks: [text('Recovered')], error: engineError('Error', 'Internal error. Got outputMessage: Recovered text') });
+
+  const result = await chat({});
+
+  assert.equal(result.type, 'complete');
+  assert.equal(result.message.content, 'Recovered text');
+  assert.equal(result.message.stats.promptTokens, 30);
+  assert.equal(result.message.stats.decodeTokensPerSec, 14);
+});
+
+test('the regenerated reply after a tool format error carries its own stats', async () => {
+  replies.push({ chunks: [text('{')], error: engineError('Error', 'SyntaxError: Unexpected end of JSON input') });
+  replies.push({ chunks: [text('Plain answer'), { id: 'c', choices: [], usage }] });
+
+  const result = await chat({});
+
+  assert.equal(result.message.content, 'Plain answer');
+  assert.equal(result.message.stats.promptTokens, 20);
+});
+
+test('a chat built for another model is refused', async () => {
+  replies.push({ chunks: [text('Hello')] });
+
+  const result = await chat({ modelId: 'Qwen2.5-7B-Instruct-q4f16_1-MLC', toolParser: 'qwen' });
+
+  assert.equal(result.type, 'error');
+  assert.match(result.error, new RegExp(`switched the model to ${MODEL}`));
+  assert.equal(replies.length, 1, 'nothing was generated');
+
+  assert.equal((await chat({ modelId: MODEL })).message.content, 'Hello');
+});
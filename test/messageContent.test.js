@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentText, imageParts, buildContent, toTextContent, toContentParts } from '../src/services/messageContent.js';
+
+const image = (attachmentId, name) => ({ type: "image", attachmentId, mimeType: "image/png", name });
+
+test('plain string content is kept as is', () => {
+  assert.equal(buildContent("hello"), "hello");
+  assert.equal(contentText("hello"), "hello");
+  assert.equal(contentText(null), "");
+  assert.deepEqual(imageParts("hello"), []);
+});
+
+test('content with images is a list of parts', () => {
+  const content = buildContent("What is this?", [image("a1", "cat.png")]);
+
+  assert.deepEqual(content, [{ type: "text", text: "What is this?" }, image("a1", "cat.png")]);
+  assert.equal(contentText(content), "What is this?");
+  assert.deepEqual(imageParts(content).map(p => p.attachmentId), ["a1"]);
+});
+
+test('text-only form marks each image', () => {
+  const content = buildContent("Compare these", [image("a1", "one.png"), image("a2", "two.png")]);
+
+  assert.equal(toTextContent(content),
+    "Compare these\n[Image attached: one.png (not visible to this model)]\n[Image attached: two.png (not visible to this model)]");
+  assert.equal(toTextContent(buildContent("", [image("a1")])), "[Image attached: image (not visible to this model)]");
+  assert.equal(toTextContent("just text"), "just text");
+});
+
+test('content parts use OpenAI image_url parts and skip missing images', () => {
+  const content = buildContent("Describe", [image("a1", "one.png"), image("gone", "two.png")]);
+  const parts = toContentParts(content, new Map([["a1", "data:image/png;base64,AAAA"]]));
+
+  assert.deepEqual(parts, [
+    { type: "text", text: "Describe" },
+    { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }
+  ]);
+});
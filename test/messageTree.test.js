@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withParents, groupByParent, latestLeaf, pathTo } from '../src/services/messageTree.js';
+
+const msg = (id, timestamp, parentId) => ({ id, timestamp, ...(parentId !== undefined ? { parentId } : {}) });
+const ids = (messages) => messages.map(m => m.id);
+
+test('legacy messages are chained by timestamp', () => {
+  const messages = withParents([msg('b', 2), msg('a', 1), msg('c', 3)]);
+
+  assert.deepEqual(ids(messages), ['a', 'b', 'c']);
+  assert.deepEqual(messages.map(m => m.parentId), [null, 'a', 'b']);
+});
+
+test('existing parents are kept when linking legacy messages', () => {
+  const messages = withParents([msg('a', 1), msg('b', 2), msg('c', 3, 'a')]);
+
+  assert.equal(messages.find(m => m.id === 'c').parentId, 'a');
+});
+
+test('siblings are grouped under their parent, oldest first', () => {
+  const children = groupByParent([msg('u', 1, null), msg('a2', 5, 'u'), msg('a1', 2, 'u')]);
+
+  assert.deepEqual(ids(children.get(null)), ['u']);
+  assert.deepEqual(ids(children.get('u')), ['a1', 'a2']);
+});
+
+test('latestLeaf follows the newest child at every level', () => {
+  const messages = [
+    msg('u1', 1, null),
+    msg('a1', 2, 'u1'), msg('u2', 3, 'a1'), msg('a2', 4, 'u2'),
+    msg('a1b', 5, 'u1'), msg('u2b', 6, 'a1b')
+  ];
+  const children = groupByParent(messages);
+
+  assert.equal(latestLeaf(children, 'u1'), 'u2b');
+  assert.equal(latestLeaf(children, 'a1'), 'a2');
+  assert.equal(latestLeaf(children, 'a2'), 'a2');
+});
+
+test('pathTo returns the active branch only', () => {
+  const messages = [
+    msg('u1', 1, null), msg('a1', 2, 'u1'), msg('u2', 3, 'a1'),
+    msg('u2b', 4, 'a1'), msg('a2b', 5, 'u2b')
+  ];
+
+  assert.deepEqual(ids(pathTo(messages, 'u2')), ['u1', 'a1', 'u2']);
+  assert.deepEqual(ids(pathTo(messages, 'a2b')), ['u1', 'a1', 'u2b', 'a2b']);
+});
+
+test('pathTo falls back to the newest message', () => {
+  const messages = [msg('u1', 1, null), msg('a1', 2, 'u1'), msg('a1b', 3, 'u1')];
+
+  assert.deepEqual(ids(pathTo(messages, 'missing')), ['u1', 'a1b']);
+  assert.deepEqual(ids(pathTo(messages, null)), ['u1', 'a1b']);
+  assert.deepEqual(pathTo([], null), []);
+});
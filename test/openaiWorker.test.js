@@ -0,0 +1,204 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+// Runs openai.worker.js in-process: `self` stands in for the worker scope and
+// a local HTTP server plays the OpenAI-compatible backend.
+
+const posted = [];
+let waiters = [];
+
+globalThis.self = {
+  postMessage: (msg) => {
+    posted.push(msg);
+    waiters = waiters.filter(({ type, resolve }) => {
+      if (msg.type !== type) return true;
+      resolve(msg);
+      return false;
+    });
+  }
+};
+
+const nextMessage = (type) => new Promise(resolve => waiters.push({ type, resolve }));
+
+const send = (type, payload, requestId) => self.onmessage({ data: { type, payload, requestId } });
+
+const sse = (res, events, { hang = false } = {}) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  if (hang) return; // Keep the stream open until the client aborts
+  res.end('data: [DONE]\n\n');
+};
+
+const delta = (d) => ({ choices: [{ index: 0, delta: d }] });
+
+let server;
+let requests = [];
+let respond = null;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      if (req.url.endsWith('/models')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: [{ id: 'stub-model' }] }));
+        return;
+      }
+      respond(req, res, JSON.parse(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await import('../src/workers/openai.worker.js');
+
+  const ready = nextMessage('ready');
+  await send('init', {
+    backend: { baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, apiKey: 'secret', model: 'stub-model' }
+  });
+  await ready;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('streams text and completes with the full reply', async () => {
+  requests = [];
+  respond = (req, res) => sse(res, [delta({ role: 'assistant' }), delta({ content: 'Hello' }), delta({ content: ' there' })]);
+
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [{ role: 'user', content: 'hi' }], generation: { temperature: 0.2 } });
+  const { message } = await complete;
+
+  assert.equal(message.content, 'Hello there');
+  assert.deepEqual(message.tool_calls, []);
+  assert.deepEqual(posted.filter(m => m.type === 'chunk').slice(-2).map(m => m.data.content), ['Hello', 'Hello there']);
+
+  const request = requests.find(r => r.url === '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer secret');
+  assert.equal(request.body.model, 'stub-model');
+  assert.equal(request.body.stream, true);
+  assert.equal(request.body.temperature, 0.2);
+  assert.equal(request.body.tools, undefined);
+});
+
+test('reads event streams with CRLF line endings', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`: keep-alive\r\n\r\ndata: ${JSON.stringify(delta({ content: 'Hello' }))}\r`);
+    // A CRLF split across two network chunks
+    res.write(`\n\r\ndata: ${JSON.stringify(delta({ content: ' there' }))}\r\n\r\n`);
+    res.end('data: [DONE]\r\n\r\n');
+  };
+
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [] });
+
+  assert.equal((await complete).message.content, 'Hello there');
+});
+
+test('reads the last event when the stream ends without a newline', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify(delta({ content: 'Hi' }))}\n\n`);
+    res.end(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 4, completion_tokens: 1, total_tokens: 5 } })}`);
+  };
+
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [] });
+  const { message } = await complete;
+
+  assert.equal(message.content, 'Hi');
+  assert.equal(message.stats.promptTokens, 4);
+});
+
+test('attaches token usage and timings to the reply', async () => {
+  respond = (req, res, body) => {
+    assert.deepEqual(body.stream_options, { include_usage: true });
+    sse(res, [
+      delta({ content: 'Hi' }),
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } }
+    ]);
+  };
+
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [] });
+  const { stats } = (await complete).message;
+
+  assert.equal(stats.model, 'stub-model');
+  assert.equal(stats.promptTokens, 12);
+  assert.equal(stats.completionTokens, 3);
+  assert.ok(stats.latencySec >= 0);
+});
+
+test('parses tool calls from the text with the configured parser', async () => {
+  respond = (req, res) => sse(res, [delta({ content: '<tool_call>{"name": "listTools", "arguments": {}}</tool_call>' })]);
+
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [], toolParser: 'hermes' });
+  const { message } = await complete;
+
+  assert.equal(message.content, null);
+  assert.equal(message.tool_calls.length, 1);
+  assert.equal(message.tool_calls[0].function.name, 'listTools');
+  assert.equal(message.tool_calls[0].function.arguments, '{}');
+});
+
+test('assembles streamed native tool calls', async () => {
+  requests = [];
+  respond = (req, res) => sse(res, [
+    delta({ tool_calls: [{ index: 0, id: 'a', type: 'function', function: { name: 'evalCode', arguments: '' } }] }),
+    delta({ tool_calls: [{ index: 0, function: { arguments: '{"code": ' } }] }),
+    delta({ tool_calls: [{ index: 0, function: { arguments: '"return 1;"}' } }] })
+  ]);
+
+  const tools = [{ type: 'function', function: { name: 'evalCode', parameters: { type: 'object' } } }];
+  const complete = nextMessage('complete');
+  await send('chat', { messages: [], tools, nativeTools: true });
+  const { message } = await complete;
+
+  assert.deepEqual(requests[0].body.tools, tools);
+  assert.equal(message.tool_calls[0].function.name, 'evalCode');
+  assert.deepEqual(JSON.parse(message.tool_calls[0].function.arguments), { code: 'return 1;' });
+});
+
+test('stop aborts the request and reports the partial text', async () => {
+  respond = (req, res) => sse(res, [delta({ content: 'Partial' })], { hang: true });
+
+  const chunk = nextMessage('chunk');
+  const stopped = nextMessage('stopped');
+  const chat = send('chat', { messages: [] });
+  await chunk;
+  await send('stop');
+  await chat;
+
+  assert.deepEqual((await stopped).message, { role: 'assistant', content: 'Partial' });
+});
+
+test('server errors are reported with their message', async () => {
+  respond = (req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'model "nope" not found' } }));
+  };
+
+  const error = nextMessage('error');
+  await send('chat', { messages: [] });
+
+  assert.equal((await error).error, 'Server responded with 404: model "nope" not found');
+});
+
+test('summarize answers with a result for the request id', async () => {
+  respond = (req, res, body) => {
+    assert.equal(body.stream, false);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'A summary.' } }] }));
+  };
+
+  const result = nextMessage('result');
+  await send('summarize', { messages: [], max_tokens: 64 }, 'req-1');
+
+  assert.deepEqual(await result, { type: 'result', requestId: 'req-1', data: 'A summary.' });
+});
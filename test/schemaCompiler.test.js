@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv from 'ajv';
+import { createSchemaCompiler } from '../src/services/schemaCompiler.js';
+
+const schema = (required) => ({
+  $id: "https://example.com/answer.json",
+  type: "object",
+  properties: { answer: { type: "string" }, sources: { type: "array" } },
+  required
+});
+
+test('the same schema read back as a new object compiles again', () => {
+  const compile = createSchemaCompiler(new Ajv());
+  const first = compile(schema(["answer"]));
+  const again = compile(JSON.parse(JSON.stringify(schema(["answer"]))));
+  assert.equal(again, first);
+  assert.equal(again({ answer: "42" }), true);
+});
+
+test('an edited schema that keeps its $id replaces the old one', () => {
+  const compile = createSchemaCompiler(new Ajv());
+  assert.equal(compile(schema(["answer"]))({ answer: "42" }), true);
+  const edited = compile(schema(["answer", "sources"]));
+  assert.equal(edited({ answer: "42" }), false);
+  assert.equal(edited({ answer: "42", sources: [] }), true);
+  // And back again
+  assert.equal(compile(schema(["answer"]))({ answer: "42" }), true);
+});
+
+test('invalid schemas still throw', () => {
+  const compile = createSchemaCompiler(new Ajv());
+  assert.throws(() => compile({ type: "nope" }));
+});
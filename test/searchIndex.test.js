@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, messageText, toIndexEntry, keywordScore, snippet } from '../src/services/searchIndex.js';
+
+test('tokenize lowercases, de-duplicates and drops one-letter words', () => {
+  assert.deepEqual(tokenize("The parser, the PARSER and a Größe_2!"), ['the', 'parser', 'and', 'größe_2']);
+  assert.deepEqual(tokenize(""), []);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('only user and assistant messages are indexed', () => {
+  assert.equal(messageText({ role: 'tool', content: 'output' }), "");
+  assert.equal(messageText({ role: 'summary', content: 'earlier' }), "");
+  assert.equal(toIndexEntry({ id: 'm', role: 'system', content: 'x' }, 'p'), null);
+  assert.equal(toIndexEntry({ id: 'm', role: 'assistant', content: null }, 'p'), null);
+});
+
+test('index entries include tool call names', () => {
+  const message = {
+    id: 'm1', chatId: 'c1', role: 'assistant', timestamp: 5, content: null,
+    tool_calls: [{ function: { name: 'get_weather', arguments: '{}' } }]
+  };
+  const entry = toIndexEntry(message, 'p1');
+
+  assert.equal(entry.messageId, 'm1');
+  assert.equal(entry.chatId, 'c1');
+  assert.equal(entry.projectId, 'p1');
+  assert.equal(entry.text, 'get_weather');
+  assert.deepEqual(entry.terms, ['get_weather']);
+  assert.equal(entry.embedded, 0);
+  assert.equal(entry.vector, null);
+});
+
+test('keyword score needs every term and prefers exact words', () => {
+  const entry = { terms: tokenize("Writing a tool call parser for Hermes") };
+
+  assert.equal(keywordScore(['parser', 'hermes'], entry), 4);
+  assert.equal(keywordScore(['pars', 'hermes'], entry), 3);
+  assert.equal(keywordScore(['parser', 'qwen'], entry), 0);
+  assert.equal(keywordScore([], entry), 0);
+});
+
+test('snippet is centred on the first match', () => {
+  const text = `${"intro ".repeat(50)}the needle is here ${"outro ".repeat(50)}`;
+  const result = snippet(text, ['needle'], 60);
+
+  assert.ok(result.startsWith("…"));
+  assert.ok(result.endsWith("…"));
+  assert.ok(result.includes("needle"));
+  assert.equal(snippet("short text", ['missing']), "short text");
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSlash, slashSuggestions, snippetVariables, expandSnippet } from '../src/services/slashCommands.js';
+
+const snippets = [
+  { name: "review", body: "Review this code:\n{{selection}}" },
+  { name: "code-style", body: "Follow our style guide." }
+];
+const models = [
+  { id: "Llama-3.2-3B-Instruct-q4f16_1-MLC", name: "Llama 3.2 3B" },
+  { id: "Qwen2.5-Coder-3B-Instruct-q4f32_1-MLC", name: "Qwen2.5-Coder-3B" }
+];
+
+test('parseSlash splits the command name from its arguments', () => {
+  assert.deepEqual(parseSlash("/Model"), { name: "model", args: "", hasArgs: false });
+  assert.deepEqual(parseSlash("/model "), { name: "model", args: "", hasArgs: true });
+  assert.deepEqual(parseSlash("/model  qwen coder"), { name: "model", args: "qwen coder", hasArgs: true });
+  assert.equal(parseSlash("hello /new"), null);
+  assert.equal(parseSlash(""), null);
+});
+
+test('suggestions list commands and snippets, prefix matches first', () => {
+  assert.deepEqual(slashSuggestions("/").map(s => s.name), ["new", "model", "clear", "tools"]);
+
+  const matches = slashSuggestions("/c", { snippets });
+  assert.deepEqual(matches.map(s => s.name), ["clear", "code-style"]);
+  assert.equal(matches[1].kind, "snippet");
+  assert.equal(matches[1].label, "/code-style");
+
+  assert.deepEqual(slashSuggestions("/to", { snippets }).map(s => s.name), ["tools"]);
+  assert.deepEqual(slashSuggestions("/st", { snippets }).map(s => s.name), ["code-style"]);
+  assert.deepEqual(slashSuggestions("/re", { snippets }).map(s => s.name), ["review"]);
+  assert.deepEqual(slashSuggestions("/xyz", { snippets }), []);
+});
+
+test('suggestions list models after /model and nothing after other commands', () => {
+  const all = slashSuggestions("/model ", { models });
+  assert.equal(all.length, 2);
+  assert.deepEqual(all[0], { kind: "model", name: models[0].id, label: "Llama 3.2 3B", description: models[0].id });
+
+  assert.deepEqual(slashSuggestions("/model coder", { models }).map(s => s.name), [models[1].id]);
+  assert.deepEqual(slashSuggestions("/new chat", { models }), []);
+});
+
+test('snippet variables are found and filled in', () => {
+  const body = "On {{date}} review:\n{{ selection }}\n{{clipboard}} {{unknown}}";
+  assert.deepEqual([...snippetVariables(body)].sort(), ["clipboard", "date", "selection"]);
+  assert.equal(snippetVariables("plain text").size, 0);
+
+  assert.equal(
+    expandSnippet(body, { date: "2026-01-02", selection: "let x = 1;" }),
+    "On 2026-01-02 review:\nlet x = 1;\n {{unknown}}"
+  );
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotationBadges, applyAnnotationPolicy, isDestructiveHint } from '../src/services/toolAnnotations.js';
+
+const readOnly = { readOnlyHint: true, destructiveHint: true, openWorldHint: false };
+const destructive = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true };
+
+test('badges describe the stated hints only', () => {
+  assert.deepEqual(annotationBadges(readOnly).map(b => b.key), ["readOnly", "closedWorld"]);
+  assert.deepEqual(annotationBadges(destructive).map(b => b.key), ["destructive", "idempotent", "openWorld"]);
+  assert.deepEqual(annotationBadges({ destructiveHint: false }).map(b => b.key), ["additive"]);
+  assert.deepEqual(annotationBadges({}).map(b => b.key), ["destructive"]);
+  assert.deepEqual(annotationBadges({}, false), []);
+  assert.deepEqual(annotationBadges(undefined), []);
+  assert.deepEqual(annotationBadges(null), []);
+});
+
+test('destructiveHint is ignored on read-only tools', () => {
+  assert.equal(isDestructiveHint(readOnly), false);
+  assert.equal(isDestructiveHint({ readOnlyHint: true }), false);
+  assert.equal(isDestructiveHint(destructive), true);
+  assert.equal(isDestructiveHint({ destructiveHint: false }), false);
+});
+
+test('a missing destructiveHint means destructive (MCP default) unless assumeDestructive is off', () => {
+  assert.equal(isDestructiveHint({}), true);
+  assert.equal(isDestructiveHint({ readOnlyHint: false }), true);
+  assert.equal(isDestructiveHint({}, false), false);
+  assert.equal(isDestructiveHint({ destructiveHint: true }, false), true);
+  // Built-in tools have no annotations
+  assert.equal(isDestructiveHint(null), false);
+
+  assert.equal(applyAnnotationPolicy("allow", true, {}), "ask");
+  assert.equal(applyAnnotationPolicy("allow", true, {}, { confirmDestructive: true, assumeDestructive: false }), "allow");
+  assert.equal(applyAnnotationPolicy("allow", true, null), "allow");
+});
+
+test('destructive tools ask even when a rule allows them', () => {
+  assert.equal(applyAnnotationPolicy("allow", true, destructive), "ask");
+  assert.equal(applyAnnotationPolicy("deny", true, destructive), "deny");
+  assert.equal(applyAnnotationPolicy("allow", true, destructive, { confirmDestructive: false }), "allow");
+});
+
+test('read-only tools are auto-approved only when enabled and no rule decided', () => {
+  const on = { autoApproveReadOnly: true, confirmDestructive: true };
+  assert.equal(applyAnnotationPolicy("ask", false, readOnly), "ask");
+  assert.equal(applyAnnotationPolicy("ask", false, readOnly, on), "allow");
+  assert.equal(applyAnnotationPolicy("ask", true, readOnly, on), "ask");
+  assert.equal(applyAnnotationPolicy("deny", false, readOnly, on), "deny");
+  assert.equal(applyAnnotationPolicy("ask", false, {}, on), "ask");
+});
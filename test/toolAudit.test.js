@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAuditEntry, filterAuditEntries, toJsonLines, REDACTED } from '../src/services/toolAudit.js';
+
+const call = { id: "call_1", function: { name: "read_file", arguments: '{"path":"/tmp/ä"}' } };
+const details = { projectId: "p1", chatId: "c1", server: "https://mcp.example.com", approval: "once", prompted: true, startedAt: 1000, durationMs: 42 };
+
+test('entries record the result size in bytes, or the error', () => {
+  const ok = buildAuditEntry(call, { ...details, result: { content: "héllo" } });
+  assert.equal(ok.resultSize, 6);
+  assert.equal(ok.error, null);
+  assert.equal(ok.arguments, call.function.arguments);
+  assert.equal(ok.edited, false);
+
+  const failed = buildAuditEntry(call, { ...details, result: { content: "Error: nope", is_error: true } });
+  assert.equal(failed.resultSize, null);
+  assert.equal(failed.error, "Error: nope");
+
+  const declined = buildAuditEntry({ ...call, edited_by_user: true }, { ...details, approval: "declined", durationMs: null, error: "Declined by the user" });
+  assert.equal(declined.error, "Declined by the user");
+  assert.equal(declined.durationMs, null);
+  assert.equal(declined.edited, true);
+});
+
+test('redacted entries leave out arguments and error text', () => {
+  const entry = buildAuditEntry(call, { ...details, redact: true, result: { content: "secret", is_error: true } });
+  assert.equal(entry.arguments, REDACTED);
+  assert.equal(entry.error, REDACTED);
+  assert.equal(entry.tool, "read_file");
+});
+
+test('filters combine', () => {
+  const entries = [
+    { timestamp: 100, tool: "read_file", server: "a", projectId: "p1", approval: "policy", arguments: '{"path":"x"}', error: null },
+    { timestamp: 200, tool: "write_file", server: "a", projectId: "p1", approval: "once", arguments: '{"path":"y"}', error: "Error: denied" },
+    { timestamp: 300, tool: "evalCode", server: "builtin", projectId: "p2", approval: "session", arguments: '{"code":"1"}', error: null }
+  ];
+  const tools = (filters) => filterAuditEntries(entries, filters).map(e => e.tool);
+
+  assert.deepEqual(tools(), ["read_file", "write_file", "evalCode"]);
+  assert.deepEqual(tools({ server: "a", status: "ok" }), ["read_file"]);
+  assert.deepEqual(tools({ status: "error" }), ["write_file"]);
+  assert.deepEqual(tools({ from: 200, to: 300 }), ["write_file"]);
+  assert.deepEqual(tools({ text: "DENIED" }), ["write_file"]);
+  assert.deepEqual(tools({ projectId: "p2", approval: "session" }), ["evalCode"]);
+});
+
+test('JSON Lines has one parseable entry per line', () => {
+  const entries = [{ timestamp: 0, tool: "a" }, { timestamp: 1000, tool: "b\nc" }];
+  const lines = toJsonLines(entries).split("\n");
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], "");
+  assert.deepEqual(JSON.parse(lines[1]), { time: "1970-01-01T00:00:01.000Z", timestamp: 1000, tool: "b\nc" });
+  assert.equal(toJsonLines([]), "");
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { getToolParser, toolParsers } from '../src/workers/toolParsers/index.js';
+
+// Each fixture file is named after a parser and holds a list of cases:
+// { "description": "...", "input": "<raw model output>", "expected": { "content", "calls" } | null }
+const fixturesDir = new URL('./fixtures/toolParsers/', import.meta.url);
+
+for (const file of readdirSync(fixturesDir).filter(f => f.endsWith('.json'))) {
+  const parserName = file.replace(/\.json$/, '');
+  const cases = JSON.parse(readFileSync(new URL(file, fixturesDir), 'utf8'));
+
+  for (const { description, input, expected } of cases) {
+    test(`${parserName}: ${description}`, () => {
+      const parser = getToolParser(parserName);
+      assert.equal(parser.name, parserName, `no parser registered as '${parserName}'`);
+      assert.deepEqual(parser.parse(input), expected);
+    });
+  }
+}
+
+test('unknown parser names fall back to the generic parser', () => {
+  assert.equal(getToolParser('does-not-exist').name, 'generic');
+  assert.equal(getToolParser(undefined).name, 'generic');
+});
+
+test('every registered parser has a fixture file', () => {
+  const fixtures = readdirSync(fixturesDir).map(f => f.replace(/\.json$/, ''));
+  for (const parser of toolParsers) {
+    assert.ok(fixtures.includes(parser.name), `missing fixtures for '${parser.name}'`);
+  }
+});
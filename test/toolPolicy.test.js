@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { policyId, matchPolicy, resolvePolicy } from '../src/services/toolPolicy.js';
+import { applyAnnotationPolicy } from '../src/services/toolAnnotations.js';
+
+const SERVER = "https://mcp.example.com";
+const rule = (projectId, tool, policy, server = SERVER) => ({ id: policyId({ projectId, server, tool }), projectId, server, tool, policy });
+
+test('policyId identifies the target of a rule', () => {
+  assert.equal(policyId({ projectId: null, server: SERVER, tool: null }), `global|${SERVER}|*`);
+  assert.equal(policyId({ projectId: "p1", server: "builtin", tool: "evalCode" }), "p1|builtin|evalCode");
+});
+
+test('falls back when no rule matches', () => {
+  assert.equal(resolvePolicy([], { projectId: "p1", server: SERVER, tool: "read_file" }), "ask");
+  assert.equal(resolvePolicy([], { projectId: "p1", server: SERVER, tool: "read_file" }, { fallback: "allow" }), "allow");
+  assert.equal(resolvePolicy([rule(null, null, "deny", "https://other.example.com")], { projectId: null, server: SERVER, tool: "x" }), "ask");
+  assert.equal(matchPolicy([rule("p2", "x", "deny")], { projectId: "p1", server: SERVER, tool: "x" }), null);
+});
+
+test('the most specific rule wins', () => {
+  const rules = [
+    rule(null, null, "deny"),
+    rule(null, "read_file", "allow"),
+    rule("p1", null, "ask"),
+    rule("p1", "write_file", "deny")
+  ];
+  const target = (projectId, tool) => ({ projectId, server: SERVER, tool });
+
+  assert.equal(resolvePolicy(rules, target(null, "delete_file")), "deny");    // global server
+  assert.equal(resolvePolicy(rules, target(null, "read_file")), "allow");     // global tool
+  assert.equal(resolvePolicy(rules, target("p1", "read_file")), "ask");       // project server beats global tool
+  assert.equal(resolvePolicy(rules, target("p1", "write_file")), "deny");     // project tool
+  assert.equal(resolvePolicy(rules, target("p2", "read_file")), "allow");     // other project: global rules
+  assert.equal(matchPolicy(rules, target("p1", "write_file")).tool, "write_file");
+});
+
+test('annotations adjust the resolved policy, knowing whether a rule decided it', () => {
+  const settings = { autoApproveReadOnly: true, confirmDestructive: true, assumeDestructive: true };
+  const withAnnotations = (annotations) => ({
+    adjust: (policy, hasRule) => applyAnnotationPolicy(policy, hasRule, annotations, settings)
+  });
+  const target = { projectId: "p1", server: SERVER, tool: "x" };
+  const allowX = [rule(null, "x", "allow")];
+
+  assert.equal(resolvePolicy(allowX, target, withAnnotations({ destructiveHint: true })), "ask");
+  assert.equal(resolvePolicy(allowX, target, withAnnotations({ destructiveHint: false })), "allow");
+  assert.equal(resolvePolicy([], target, withAnnotations({ readOnlyHint: true })), "allow");
+  assert.equal(resolvePolicy([rule("p1", "x", "ask")], target, withAnnotations({ readOnlyHint: true })), "ask");
+  assert.equal(resolvePolicy([rule(null, null, "deny")], target, withAnnotations({ readOnlyHint: true })), "deny");
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planToolBatches, runToolBatches, runLimited } from '../src/services/toolScheduler.js';
+
+const call = (id, name) => ({ id, function: { name, arguments: "{}" } });
+const ids = (batches) => batches.map(batch => batch.map(c => c.id));
+
+test('calls to different tools share a batch', () => {
+  const calls = [call("a", "create_directory"), call("b", "write_file"), call("c", "evalCode")];
+  assert.deepEqual(ids(planToolBatches(calls)), [["a", "b", "c"]]);
+  assert.deepEqual(planToolBatches([]), []);
+});
+
+test('repeated tools start a new batch unless both calls are read-only', () => {
+  const calls = [call("a", "write_file"), call("b", "search"), call("c", "write_file"), call("d", "search")];
+  assert.deepEqual(ids(planToolBatches(calls)), [["a", "b"], ["c", "d"]]);
+
+  const readOnly = (name) => name === "search";
+  assert.deepEqual(ids(planToolBatches(calls, readOnly)), [["a", "b"], ["c", "d"]]);
+  assert.deepEqual(ids(planToolBatches([call("a", "search"), call("b", "search")], readOnly)), [["a", "b"]]);
+  assert.deepEqual(ids(planToolBatches([call("a", "write_file"), call("b", "write_file"), call("c", "write_file")])), [["a"], ["b"], ["c"]]);
+});
+
+test('a failed call stops the batches after it', async () => {
+  const ran = [];
+  const runCall = async (c) => {
+    ran.push(c.id);
+    return { id: c.id, is_error: c.id === "a" };
+  };
+
+  // a and b run together; the second write_file depends on the first and is skipped
+  const calls = [call("a", "write_file"), call("b", "search"), call("c", "write_file")];
+  const seen = [];
+  const { results, stopped } = await runToolBatches(calls, runCall, { onResult: r => seen.push(r.id) });
+  assert.deepEqual(ran, ["a", "b"]);
+  assert.deepEqual(results.map(r => r.id), ["a", "b"]);
+  assert.deepEqual(seen, ["a", "b"]);
+  assert.equal(stopped, true);
+});
+
+test('a failed read-only call stops the batches after it too', async () => {
+  const readOnly = (name) => name === "search";
+  const runCall = async (c) => ({ id: c.id, is_error: c.id === "a" });
+  const calls = [call("a", "search"), call("b", "write_file"), call("c", "write_file")];
+  const { results, stopped } = await runToolBatches(calls, runCall, { isReadOnly: readOnly });
+  assert.deepEqual(results.map(r => r.id), ["a", "b"]);
+  assert.equal(stopped, true);
+});
+
+test('nothing is skipped when every call succeeds', async () => {
+  const runCall = async (c) => ({ id: c.id });
+  const calls = [call("a", "write_file"), call("b", "write_file")];
+  const { results, stopped } = await runToolBatches(calls, runCall);
+  assert.deepEqual(results.map(r => r.id), ["a", "b"]);
+  assert.equal(stopped, false);
+});
+
+test('runLimited keeps task order and respects the limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const task = (value, ms) => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return value;
+  };
+
+  const results = await runLimited([task(1, 30), task(2, 5), task(3, 10), task(4, 1), task(5, 1)], 2);
+  assert.deepEqual(results, [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+
+  assert.deepEqual(await runLimited([task("x", 1)], 0), ["x"]);
+  assert.deepEqual(await runLimited([], 3), []);
+});